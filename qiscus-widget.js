@@ -24,9 +24,17 @@
  */
 
 class QiscusMultichannelWidget {
+    /**
+     * Instance IDs of the widgets currently mounted on the page
+     * The default instance uses an empty ID and keeps the plain `qiscus-*` element IDs
+     */
+    static activeInstanceIds = new Set();
+
     constructor(config = {}) {
         this.config = this.validateConfig(config);
+        this.instanceId = this.registerInstance(this.config.instanceId);
         this.userConfig = null;
+        this.isDestroyed = false;
         
         // Initialize event system
         this.eventEmitter = new EventEmitter();
@@ -50,7 +58,30 @@ class QiscusMultichannelWidget {
             appId: config.appId,
             baseURL: config.baseURL || 'https://multichannel.qiscus.com',
             channelId: config.channelId,
+            instanceId: config.instanceId,
             debugMode: config.debugMode !== undefined ? config.debugMode : false,
+            shadowDom: config.shadowDom === true,
+            locale: config.locale || 'en',
+            translations: config.translations || {},
+            showDeletedMessagePlaceholder: config.showDeletedMessagePlaceholder !== false,
+            publishTyping: config.publishTyping !== false,
+            formatMessages: config.formatMessages !== false,
+            search: config.search === false ? null : {
+                loadHistory: false,
+                maxHistoryPages: MessageSearchService.MAX_HISTORY_PAGES,
+                ...(typeof config.search === 'object' ? config.search : {})
+            },
+            transcript: config.transcript !== false,
+            imageProcessing: config.imageProcessing === false
+                ? null
+                : { ...(typeof config.imageProcessing === 'object' ? config.imageProcessing : {}) },
+            uploadConcurrency: config.uploadConcurrency || UploadManager.DEFAULT_CONCURRENCY,
+            attachments: { ...(typeof config.attachments === 'object' ? config.attachments : {}) },
+            sdkAdapter: config.sdkAdapter || null,
+            apiAdapter: config.apiAdapter || null,
+            preChatForm: config.preChatForm || null,
+            csat: config.csat ? { ...(typeof config.csat === 'object' ? config.csat : {}) } : null,
+            guestMode: config.guestMode ? { ...(typeof config.guestMode === 'object' ? config.guestMode : {}) } : null,
             theme: {
                 primaryColor: config.primaryColor || '#55B29A',
                 secondaryColor: config.secondaryColor || '#F4F4F4',
@@ -63,27 +94,123 @@ class QiscusMultichannelWidget {
                 onMessageReceived: config.onMessageReceived || (() => {}),
                 onMessageSent: config.onMessageSent || (() => {}),
                 onRoomChanged: config.onRoomChanged || (() => {}),
-                onTyping: config.onTyping || (() => {})
+                onTyping: config.onTyping || (() => {}),
+                onMessageStatusChanged: config.onMessageStatusChanged || (() => {}),
+                onPreChatSubmit: config.onPreChatSubmit || (() => {}),
+                onSurveySubmitted: config.onSurveySubmitted || (() => {})
             }
         };
     }
 
+    /**
+     * Reserve a unique instance ID for this widget
+     * @param {string} [requestedId] - ID from config; generated when omitted and the default is taken
+     * @returns {string} - Instance ID ('' for the default instance)
+     */
+    registerInstance(requestedId) {
+        const activeIds = QiscusMultichannelWidget.activeInstanceIds;
+
+        if (requestedId) {
+            if (activeIds.has(requestedId)) {
+                throw new Error(`A widget with instanceId "${requestedId}" already exists`);
+            }
+            activeIds.add(requestedId);
+            return requestedId;
+        }
+
+        let instanceId = '';
+        let counter = 1;
+        while (activeIds.has(instanceId)) {
+            instanceId = `widget-${++counter}`;
+        }
+        activeIds.add(instanceId);
+        return instanceId;
+    }
+
+    /**
+     * Storage namespace, so widgets for different apps or channels keep separate sessions
+     * @returns {string} - e.g. 'my-app' or 'my-app:123'
+     */
+    getStorageNamespace() {
+        const { appId, channelId } = this.config;
+        return channelId != null && channelId !== '' ? `${appId}:${channelId}` : appId;
+    }
+
     initializeServices() {
         // Create services with dependency injection
         this.logger = new LoggerService(this.config.debugMode);
-        this.storageService = new StorageService();
+        this.i18n = new I18nService(this.config.locale, this.config.translations);
+        this.themeService = new ThemeService(this.config.theme);
+        this.richMessageService = new RichMessageService();
+        this.messageFormatter = new MessageFormatter();
+        this.messageSearchService = new MessageSearchService(this.richMessageService);
+        this.transcriptService = new TranscriptService({
+            i18n: this.i18n,
+            richMessageService: this.richMessageService,
+            messageFormatter: this.messageFormatter
+        });
+        this.storageService = new StorageService(localStorage, this.getStorageNamespace());
+        this.storageService.migrateLegacySession(this.config.appId);
         this.stateManager = new StateManager(this.eventEmitter);
-        this.sdkService = new SDKService(this.eventEmitter, this.logger);
-        this.apiService = new APIService(this.config.baseURL);
+        this.sdkService = new SDKService(this.eventEmitter, this.logger, this.config.sdkAdapter);
+        this.apiService = this.config.apiAdapter || new APIService(this.config.baseURL);
+        this.imageProcessingService = this.config.imageProcessing
+            ? new ImageProcessingService(this.config.imageProcessing)
+            : null;
+        this.attachmentPolicyService = new AttachmentPolicyService(this.config.attachments, this.i18n);
+        this.uploadManager = new UploadManager(
+            this.logger,
+            (file, options) => this.sdkService.upload(file, options),
+            { concurrency: this.config.uploadConcurrency }
+        );
+        this.outboxService = new OutboxService(
+            this.storageService,
+            this.eventEmitter,
+            this.logger,
+            (entry) => this.chatService.deliverOutboxEntry(entry)
+        );
         this.chatService = new ChatService(
             this.sdkService,
             this.apiService,
             this.stateManager,
             this.storageService,
             this.eventEmitter,
-            this.logger
+            this.logger,
+            {
+                outboxService: this.outboxService,
+                i18n: this.i18n,
+                richMessageService: this.richMessageService,
+                imageProcessingService: this.imageProcessingService,
+                uploadManager: this.uploadManager,
+                attachmentPolicy: this.attachmentPolicyService
+            }
         );
-        this.uiService = new UIService(this.config.theme, this.eventEmitter);
+        this.csatService = this.config.csat
+            ? new CsatService(this.apiService, this.storageService, this.eventEmitter, this.logger, this.config.csat, this.i18n)
+            : null;
+        this.guestIdentityService = this.config.guestMode
+            ? new GuestIdentityService(this.storageService, {
+                displayName: this.i18n.t('guest.displayName'),
+                ...this.config.guestMode
+            })
+            : null;
+        this.preChatFormService = this.config.preChatForm
+            ? new PreChatFormService(this.config.preChatForm, {
+                requireUserId: !this.guestIdentityService,
+                i18n: this.i18n
+            })
+            : null;
+        this.uiService = new UIService(this.themeService, this.eventEmitter, {
+            shadowDom: this.config.shadowDom,
+            instanceId: this.instanceId,
+            i18n: this.i18n,
+            richMessageService: this.richMessageService,
+            messageFormatter: this.messageFormatter,
+            attachmentPolicy: this.attachmentPolicyService,
+            formatMessages: this.config.formatMessages,
+            search: !!this.config.search,
+            transcript: this.config.transcript
+        });
     }
 
     setupEventHandlers() {
@@ -98,8 +225,33 @@ class QiscusMultichannelWidget {
             this.chatService.handleNewMessages(messages);
         });
 
+        this.eventEmitter.on('sdk:messageDelivered', (data) => {
+            this.chatService.handleMessageStatus(data, 'delivered');
+        });
+
+        this.eventEmitter.on('sdk:messageRead', (data) => {
+            this.chatService.handleMessageStatus(data, 'read');
+        });
+
+        this.eventEmitter.on('sdk:commentDeleted', (data) => {
+            this.chatService.handleCommentDeleted(data, this.config.showDeletedMessagePlaceholder);
+        });
+
+        this.eventEmitter.on('sdk:roomCleared', (data) => {
+            this.chatService.handleRoomCleared(data);
+        });
+
+        this.eventEmitter.on('sdk:roomChanged', (data) => {
+            this.chatService.handleRoomChanged(data);
+        });
+
+        this.eventEmitter.on('sdk:reconnect', () => {
+            this.outboxService.flush();
+        });
+
         // Chat events
         this.eventEmitter.on('chat:initiated', ({ user }) => {
+            this.resetConversationUI();
             this.config.callbacks.onLoginSuccess(user);
         });
 
@@ -110,9 +262,6 @@ class QiscusMultichannelWidget {
                 messagesCount: data.messages?.length || 0
             });
             
-            // Render restored messages
-            this.renderMessages();
-            
             // Notify callback
             this.config.callbacks.onLoginSuccess(data.user);
             this.config.callbacks.onRoomChanged(data.room);
@@ -126,7 +275,13 @@ class QiscusMultichannelWidget {
             this.config.callbacks.onRoomChanged(room);
         });
 
+        this.eventEmitter.on('room:resolved', () => {
+            this.handleRoomResolved();
+        });
+
         this.eventEmitter.on('message:sent', (message) => {
+            // Writing to a resolved room of a non-sessional app reopens it
+            this.uiService.hideResolvedBanner();
             this.config.callbacks.onMessageSent(message);
         });
 
@@ -134,15 +289,64 @@ class QiscusMultichannelWidget {
             this.config.callbacks.onMessageReceived(message);
         });
 
+        this.eventEmitter.on('message:statusChanged', ({ message, status }) => {
+            this.config.callbacks.onMessageStatusChanged(message, status);
+        });
+
         // State events
-        this.eventEmitter.on('state:messageAdded', () => {
+        // Only the affected message nodes are touched; a full render happens on reset
+        this.eventEmitter.on('state:messagesReset', () => {
+            this.renderMessages();
+        });
+
+        this.eventEmitter.on('state:messageAdded', (message) => {
+            this.uiService.appendMessage(message);
+        });
+
+        this.eventEmitter.on('state:messageUpdated', (message) => {
+            this.uiService.updateMessage(message);
+        });
+
+        this.eventEmitter.on('state:messageRemoved', (message) => {
+            this.uiService.removeMessage(message);
+        });
+
+        this.eventEmitter.on('state:messageStatusChanged', ({ messages }) => {
+            messages.forEach(message => this.uiService.updateMessage(message));
+        });
+
+        this.eventEmitter.on('state:messagesCleared', () => {
             this.renderMessages();
         });
 
+        this.eventEmitter.on('state:messagesPrepended', (messages) => {
+            this.uiService.prependMessages(messages);
+        });
+
+        // Search results follow the message list while a search is open
+        ['state:messagesReset', 'state:messageAdded', 'state:messageUpdated', 'state:messageRemoved',
+            'state:messagesCleared', 'state:messagesPrepended'].forEach(event => {
+            this.eventEmitter.on(event, () => this.refreshSearch());
+        });
+
+        // History events
+        this.eventEmitter.on('history:loading', () => {
+            this.uiService.setHistoryLoading(true);
+        });
+
+        this.eventEmitter.on('history:loaded', () => {
+            this.uiService.setHistoryLoading(false);
+        });
+
         this.eventEmitter.on('state:unreadChanged', (count) => {
             this.uiService.updateUnreadBadge(count);
         });
 
+        // Outbox events
+        this.eventEmitter.on('outbox:changed', (entries) => {
+            this.uiService.updateOutboxStatus(entries);
+        });
+
         // UI events
         this.eventEmitter.on('ui:chatButtonClick', () => {
             this.handleChatButtonClick();
@@ -156,21 +360,76 @@ class QiscusMultichannelWidget {
             this.handleSendMessage();
         });
 
-        this.eventEmitter.on('ui:fileSelected', (file) => {
-            this.handleFileUpload(file);
+        this.eventEmitter.on('ui:typing', (isTyping) => {
+            if (this.config.publishTyping) {
+                this.chatService.publishTyping(isTyping);
+            }
+        });
+
+        this.eventEmitter.on('ui:preChatSubmit', (values) => {
+            this.handlePreChatSubmit(values);
+        });
+
+        this.eventEmitter.on('ui:startNewConversation', () => {
+            this.startNewConversation();
+        });
+
+        this.eventEmitter.on('ui:surveySubmit', (answers) => {
+            this.handleSurveySubmit(answers);
+        });
+
+        this.eventEmitter.on('ui:surveyDismiss', () => {
+            this.csatService?.dismiss(this.stateManager.get('roomId'));
+            this.uiService.hideSurvey();
+        });
+
+        this.eventEmitter.on('ui:richAction', (action) => {
+            this.handleRichAction(action);
+        });
+
+        this.eventEmitter.on('ui:loadMore', () => {
+            this.loadMoreMessages();
+        });
+
+        this.eventEmitter.on('ui:exportTranscript', (format) => {
+            this.handleExportTranscript(format);
+        });
+
+        this.eventEmitter.on('ui:searchInput', (query) => {
+            this.searchMessages(query);
+        });
+
+        this.eventEmitter.on('ui:searchNext', () => {
+            this.searchNext();
+        });
+
+        this.eventEmitter.on('ui:searchPrevious', () => {
+            this.searchPrevious();
+        });
+
+        this.eventEmitter.on('ui:searchClose', () => {
+            this.clearSearch();
+        });
+
+        this.eventEmitter.on('ui:filesSelected', (files) => {
+            this.handleFilesSelected(files);
+        });
+
+        this.eventEmitter.on('ui:messageRetry', (uniqueId) => {
+            this.chatService.retryMessage(uniqueId);
         });
 
-        // Media events
-        this.eventEmitter.on('media:progress', (data) => {
-            this.uiService.showUploadProgress(data.filename, data.percent);
+        this.eventEmitter.on('ui:messageDelete', (uniqueId) => {
+            this.chatService.discardMessage(uniqueId);
         });
 
-        this.eventEmitter.on('media:uploaded', () => {
-            this.uiService.hideUploadProgress();
+        this.eventEmitter.on('ui:uploadCancel', (uniqueId) => {
+            this.cancelUpload(uniqueId);
         });
 
-        this.eventEmitter.on('media:error', () => {
-            this.uiService.hideUploadProgress();
+        // Media events; upload progress is shown in each file's bubble
+        this.eventEmitter.on('media:rejected', ({ error }) => {
+            this.uiService.showNotice(error);
         });
     }
 
@@ -181,8 +440,21 @@ class QiscusMultichannelWidget {
             await this.sdkService.loadSDK();
             await this.sdkService.initialize(this.config.appId);
             await this.restoreSession();
+
+            // destroy() may have been called while the SDK was loading
+            if (this.isDestroyed) {
+                this.sdkService.disconnect();
+                return;
+            }
             
             this.uiService.createWidget();
+            this.renderMessages();
+            this.outboxService.start();
+
+            // The room may have been resolved while the visitor was away
+            if (this.stateManager.get('isLoggedIn') && this.chatService.checkIfRoomResolved()) {
+                this.handleRoomResolved();
+            }
             
             this.logger.log('[QiscusWidget] Initialized successfully');
             this.config.callbacks.onReady(this);
@@ -274,6 +546,11 @@ class QiscusMultichannelWidget {
     }
 
     async initiateChat() {
+        // Anonymous visitors chat under their persisted guest identity
+        if (!this.userConfig && this.guestIdentityService) {
+            this.setUser(this.guestIdentityService.getUserConfig());
+        }
+
         if (!this.userConfig) {
             throw new Error('User ID is required. Call setUser() first.');
         }
@@ -295,6 +572,134 @@ class QiscusMultichannelWidget {
         return await this.chatService.loadMoreMessages();
     }
 
+    /**
+     * Cancel a file upload that is waiting or running; its message is removed
+     * @param {string} uniqueId - unique_temp_id of the file's message
+     * @returns {boolean} - Whether an upload was cancelled
+     */
+    cancelUpload(uniqueId) {
+        return this.chatService.cancelUpload(uniqueId);
+    }
+
+    /**
+     * @returns {Array} - { id, name, size, status, percent } of the uploads waiting or running; `id` is the message's unique_temp_id
+     */
+    getUploads() {
+        return this.uploadManager.getTasks();
+    }
+
+    /**
+     * Export the whole conversation, loading every older page first
+     * @param {string} [format='text'] - 'text', 'html' or 'json'
+     * @param {Object} [options]
+     * @param {boolean} [options.download=true] - Save the transcript as a file in the browser
+     * @returns {Promise<Object>} - { format, fileName, mimeType, content }
+     */
+    async exportTranscript(format = 'text', { download = true } = {}) {
+        this.transcriptService.getFormat(format);
+        if (!this.stateManager.get('roomId')) {
+            throw new Error('No conversation to export');
+        }
+
+        const messages = await this.chatService.loadFullHistory();
+        const transcript = this.transcriptService.build(messages, format, {
+            room: this.stateManager.get('room')
+        });
+
+        if (download) {
+            this.uiService.downloadFile(transcript);
+        }
+        this.eventEmitter.emit('transcript:exported', transcript);
+        return transcript;
+    }
+
+    async handleExportTranscript(format) {
+        this.uiService.setTranscriptExporting(true);
+        try {
+            await this.exportTranscript(format);
+        } catch (error) {
+            this.logger.error('[QiscusWidget] Transcript export failed:', error);
+            this.uiService.showNotice(this.i18n.t('transcript.error'));
+        } finally {
+            this.uiService.setTranscriptExporting(false);
+        }
+    }
+
+    // ==================== SEARCH ====================
+
+    /**
+     * Search the conversation and highlight the matches; the newest match is scrolled into view
+     * @param {string} query - Text to look for, at least MessageSearchService.MIN_QUERY_LENGTH characters
+     * @param {Object} [options]
+     * @param {boolean} [options.loadHistory] - Also search older pages, loading them as needed (defaults to `search.loadHistory`)
+     * @returns {Promise<Object>} - Search state { query, total, index, currentKey, message }
+     */
+    async searchMessages(query, { loadHistory = this.config.search?.loadHistory } = {}) {
+        this.messageSearchService.setQuery(query, this.stateManager.get('messagesList'));
+        this.showSearchResults({ scroll: true });
+
+        if (loadHistory && this.messageSearchService.isActive()) {
+            await this.searchHistory(this.messageSearchService.getQuery());
+        }
+        return this.messageSearchService.getState();
+    }
+
+    /**
+     * Load older pages until the history is exhausted, the page limit is reached or the query changed
+     * Results are updated as each page is prepended.
+     */
+    async searchHistory(query) {
+        const maxPages = this.config.search?.maxHistoryPages ?? MessageSearchService.MAX_HISTORY_PAGES;
+
+        for (let page = 0; page < maxPages; page++) {
+            if (this.messageSearchService.getQuery() !== query || !this.stateManager.get('hasMoreMessages')) return;
+
+            const addedMessages = await this.loadMoreMessages();
+            if (addedMessages.length === 0) return;
+        }
+    }
+
+    /**
+     * Go to the next, older match (wraps around to the newest)
+     */
+    searchNext() {
+        this.messageSearchService.next();
+        return this.showSearchResults({ scroll: true });
+    }
+
+    /**
+     * Go to the previous, newer match (wraps around to the oldest)
+     */
+    searchPrevious() {
+        this.messageSearchService.previous();
+        return this.showSearchResults({ scroll: true });
+    }
+
+    /**
+     * Close the search box and remove the highlights
+     */
+    clearSearch() {
+        this.messageSearchService.clear();
+        this.uiService.closeSearch();
+        this.eventEmitter.emit('search:changed', this.messageSearchService.getState());
+    }
+
+    refreshSearch() {
+        if (!this.messageSearchService.isActive()) return;
+
+        // Jump to the first match that turns up, e.g. in a page of older messages
+        const hadMatch = this.messageSearchService.getCurrentKey() !== null;
+        const state = this.messageSearchService.refresh(this.stateManager.get('messagesList'));
+        this.showSearchResults({ scroll: !hadMatch && state.currentKey !== null });
+    }
+
+    showSearchResults({ scroll = false } = {}) {
+        const state = this.messageSearchService.getState();
+        this.uiService.showSearchResults(state, { scroll });
+        this.eventEmitter.emit('search:changed', state);
+        return state;
+    }
+
     /**
      * Update room info with messages (matches React Native useUpdateRoomInfo)
      * @param {number} roomId - Room ID to load
@@ -304,8 +709,34 @@ class QiscusMultichannelWidget {
         return await this.chatService.updateRoomInfo(roomId);
     }
 
+    /**
+     * Leave the resolved room and start a new conversation (sessional apps only)
+     * @returns {Promise<boolean>} - Whether a new conversation was started
+     */
+    async startNewConversation() {
+        if (!this.userConfig) {
+            throw new Error('User ID is required. Call setUser() first.');
+        }
+
+        this.uiService.setStartingNewConversation(true);
+        try {
+            const user = await this.chatService.startNewConversation(
+                this.config.appId,
+                this.config.channelId,
+                this.userConfig
+            );
+            return user !== null;
+        } catch (error) {
+            this.logger.error('[QiscusWidget] Starting a new conversation failed:', error);
+            return false;
+        } finally {
+            this.uiService.setStartingNewConversation(false);
+        }
+    }
+
     clearUser() {
         this.chatService.clearSession();
+        this.resetConversationUI();
         this.userConfig = null;
         this.logger.log('[QiscusWidget] User session cleared');
     }
@@ -330,11 +761,80 @@ class QiscusMultichannelWidget {
         }
     }
 
+    /**
+     * Switch the UI language at runtime; RTL locales also mirror the layout
+     * An open pre-chat form or survey keeps its texts until it is shown again.
+     * @param {string} locale - BCP 47 tag such as 'id' or 'ar', or 'auto' for the browser language
+     * @returns {string} - Resolved locale
+     */
+    setLocale(locale) {
+        const resolved = this.i18n.setLocale(locale);
+        this.config.locale = locale;
+
+        this.uiService.applyLocale();
+        this.uiService.updateTypingIndicator(this.stateManager.get('isTyping'));
+        this.uiService.updateOutboxStatus(this.outboxService.getEntries());
+
+        this.eventEmitter.emit('locale:changed', { locale: resolved, direction: this.i18n.getDirection() });
+        return resolved;
+    }
+
+    getLocale() {
+        return this.i18n.getLocale();
+    }
+
+    /**
+     * Update the theme in place, e.g. `setTheme({ mode: 'dark' })`
+     * Nested `colors`, `darkColors` and `icons` are merged with the current ones.
+     * @param {Object} theme - Partial theme
+     * @returns {Object} - Resolved theme
+     */
+    setTheme(theme) {
+        const resolved = this.themeService.update(theme);
+        this.config.theme = { ...this.config.theme, ...theme };
+        this.uiService.applyTheme();
+
+        this.eventEmitter.emit('theme:changed', resolved);
+        return resolved;
+    }
+
+    getTheme() {
+        return this.themeService.getTheme();
+    }
+
+    /**
+     * Unmount the widget: remove its DOM and styles, detach all DOM and
+     * event emitter listeners and disconnect the SDK realtime connection.
+     * The stored session is kept, so a new QiscusMultichannelWidget can restore it.
+     */
+    destroy() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+
+        this.eventEmitter.emit('widget:destroyed');
+
+        this.outboxService.stop();
+        this.uploadManager.cancelAll();
+        this.uiService.destroy();
+        this.sdkService.disconnect();
+        this.eventEmitter.removeAllListeners();
+        QiscusMultichannelWidget.activeInstanceIds.delete(this.instanceId);
+
+        this.logger.log('[QiscusWidget] Destroyed');
+    }
+
     // Private helper methods
     async handleChatButtonClick() {
         const isLoggedIn = this.stateManager.get('isLoggedIn');
         
         if (!isLoggedIn) {
+            // Anonymous visitors identify themselves through the pre-chat form first
+            if (!this.userConfig && this.preChatFormService) {
+                this.openWidget();
+                this.uiService.showPreChatForm(this.preChatFormService.getForm());
+                return;
+            }
+
             try {
                 await this.initiateChat();
             } catch (error) {
@@ -345,6 +845,114 @@ class QiscusMultichannelWidget {
         }
     }
 
+    /**
+     * Validate the pre-chat form, then configure the user from it and start the chat
+     * @param {Object} values - Field values keyed by field name
+     */
+    async handlePreChatSubmit(values) {
+        const errors = this.preChatFormService.validate(values);
+        if (Object.keys(errors).length > 0) {
+            this.uiService.showPreChatErrors(errors);
+            return;
+        }
+
+        this.uiService.showPreChatErrors({});
+        this.uiService.setPreChatSubmitting(true);
+        const userConfig = this.preChatFormService.toUserConfig(values);
+        if (!userConfig.userId && this.guestIdentityService) {
+            const guest = this.guestIdentityService.getUserConfig();
+            userConfig.userId = guest.userId;
+            userConfig.displayName = userConfig.displayName || guest.displayName;
+            userConfig.extras = { ...guest.extras, ...userConfig.extras };
+        }
+        this.setUser(userConfig);
+        this.config.callbacks.onPreChatSubmit(values);
+
+        try {
+            await this.initiateChat();
+            this.uiService.hidePreChatForm();
+        } catch (error) {
+            this.logger.error('[QiscusWidget] Chat initiation from pre-chat form failed:', error);
+            this.userConfig = null;
+            this.uiService.showPreChatErrors({}, this.i18n.t('preChat.error.startFailed'));
+        } finally {
+            this.uiService.setPreChatSubmitting(false);
+        }
+    }
+
+    /**
+     * Show the resolved banner, lock the composer of sessional rooms
+     * and offer the satisfaction survey once per room
+     */
+    async handleRoomResolved() {
+        const roomId = this.stateManager.get('roomId');
+
+        if (this.csatService && this.csatService.shouldSurvey(roomId)) {
+            this.uiService.showSurvey(this.csatService.getSurvey(), this.csatService.getRatingOptions());
+        }
+
+        // Sessional apps open a new room for the next conversation; others reopen this one
+        const isSessional = await this.chatService.shouldCreateNewSession(this.config.appId);
+        if (this.stateManager.get('roomId') !== roomId) return;
+
+        this.uiService.showResolvedBanner(isSessional);
+        this.uiService.setComposerEnabled(!isSessional);
+    }
+
+    resetConversationUI() {
+        this.uiService.hideSurvey();
+        this.uiService.hideResolvedBanner();
+        this.uiService.setComposerEnabled(true);
+    }
+
+    /**
+     * @param {Object} answers - { rating, nps, comment } from the survey form
+     */
+    async handleSurveySubmit({ rating, nps, comment }) {
+        if (!rating) {
+            this.uiService.showSurveyError(this.i18n.t('csat.error.ratingRequired'));
+            return;
+        }
+
+        const currentUser = this.stateManager.get('currentUser');
+        this.uiService.setSurveySubmitting(true);
+
+        try {
+            const result = await this.csatService.submit({
+                roomId: this.stateManager.get('roomId'),
+                userId: currentUser?.email || currentUser?.id || this.userConfig?.userId,
+                rating,
+                comment,
+                nps
+            });
+            this.config.callbacks.onSurveySubmitted(result);
+            this.uiService.showSurveyThanks(this.csatService.getSurvey().thankYouMessage);
+        } catch (error) {
+            this.logger.error('[QiscusWidget] Survey submission failed:', error);
+            this.uiService.showSurveyError(this.i18n.t('csat.error.submitFailed'));
+            this.uiService.setSurveySubmitting(false);
+        }
+    }
+
+    /**
+     * Open a tapped link button, or send the postback of a tapped button or quick reply
+     * @param {Object} action - { message, button, isQuickReply } from the message list
+     */
+    async handleRichAction({ button, isQuickReply }) {
+        if (button.type === 'link') {
+            this.uiService.openLink(button.url);
+            if (isQuickReply) this.chatService.closeQuickReplies();
+            return;
+        }
+
+        try {
+            await this.chatService.sendPostback(button);
+            this.uiService.scrollToBottom();
+        } catch (error) {
+            this.logger.error('[QiscusWidget] Postback failed:', error);
+        }
+    }
+
     async handleSendMessage() {
         const input = this.uiService.getMessageInput();
         if (!input) return;
@@ -352,14 +960,42 @@ class QiscusMultichannelWidget {
         const text = input.value.trim();
         if (!text) return;
 
+        // The message shows up immediately as a pending bubble, so the composer is freed right away
+        this.uiService.clearMessageInput();
+        this.uiService.scrollToBottom();
+
         try {
+            // Resolves with the sent message or, when sending failed, the queued outbox entry
             await this.sendMessage(text);
-            this.uiService.clearMessageInput();
         } catch (error) {
             this.logger.error('[QiscusWidget] Send message failed:', error);
+            input.value = text;
         }
     }
 
+    /**
+     * Validate picked, dropped or pasted files and upload the valid ones. Uploads run side by side,
+     * but the files are sent in the order they were chosen. Rejected files are reported through `media:rejected`;
+     * when more files than `attachments.maxFiles` are added at once, none of them is sent.
+     * @param {Array<File>} files - Files to send
+     * @returns {Promise<void>} - Resolves once these files were handled
+     */
+    handleFilesSelected(files) {
+        const count = this.attachmentPolicyService.validateCount(files.length);
+        const accepted = [];
+        files.forEach(file => {
+            const validation = count.valid ? this.chatService.validateFile(file) : count;
+            if (validation.valid) {
+                accepted.push(file);
+            } else {
+                this.logger.warn('[QiscusWidget] File rejected:', file?.name, validation.error);
+                this.eventEmitter.emit('media:rejected', { file, code: validation.code, error: validation.error });
+            }
+        });
+
+        return Promise.all(accepted.map(file => this.handleFileUpload(file))).then(() => {});
+    }
+
     async handleFileUpload(file) {
         const roomId = this.stateManager.get('roomId');
         
@@ -57,6 +57,34 @@ class APIService {
         return await response.json();
     }
 
+    /**
+     * Submit a customer satisfaction survey result
+     * Endpoint: POST /api/v2/qiscus/csat (or a custom collector)
+     *
+     * @param {Object} result - Survey result
+     * @param {number|string} result.room_id - Resolved room ID
+     * @param {string} result.user_id - Customer identifier
+     * @param {number} result.rating - Rating from 1 to result.rating_scale
+     * @param {string} [result.comment] - Optional comment
+     * @param {number} [result.nps] - Optional NPS score from 0 to 10
+     * @param {string} [endpoint] - Full URL that replaces the default endpoint
+     * @returns {Promise<Object>} API response
+     */
+    async submitSurvey(result, endpoint = null) {
+        const response = await fetch(endpoint || `${this.baseURL}/api/v2/qiscus/csat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(result)
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.errors?.message || 'Failed to submit survey');
+        }
+
+        return await response.json().catch(() => ({}));
+    }
+
     /**
      * Decode JWT Token
      * Extracts payload from JWT identity token
@@ -0,0 +1,245 @@
+/**
+ * AttachmentPolicyService - Decides which files customers may send
+ * Holds the one list of known file types, the allowed types, per-type size limits and
+ * the number of files per message. Besides the extension, the first bytes of a file are
+ * checked against its type's signature, so e.g. a program renamed to `.pdf` is rejected.
+ * Follows Single Responsibility Principle
+ */
+class AttachmentPolicyService {
+    static DEFAULT_MAX_FILE_SIZE = 25 * 1024 * 1024;
+
+    /**
+     * Bytes read from the start of a file to check its content
+     */
+    static HEADER_SIZE = 512;
+
+    /**
+     * Byte signatures: every [offset, bytes] part must match; strings are ASCII
+     */
+    static SIGNATURES = {
+        jpeg: [[0, [0xFF, 0xD8, 0xFF]]],
+        png: [[0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]]],
+        gif: [[0, 'GIF8']],
+        webp: [[0, 'RIFF'], [8, 'WEBP']],
+        bmp: [[0, 'BM']],
+        isoMedia: [[4, 'ftyp']],
+        quickTime: [[4, 'moov']],
+        ebml: [[0, [0x1A, 0x45, 0xDF, 0xA3]]],
+        avi: [[0, 'RIFF'], [8, 'AVI ']],
+        flv: [[0, 'FLV']],
+        pdf: [[0, '%PDF-']],
+        ole: [[0, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]]],
+        zip: [[0, [0x50, 0x4B, 0x03, 0x04]]]
+    };
+
+    /**
+     * Known file types by extension: their category and the signatures their content must
+     * match; 'text' accepts any content without NUL bytes
+     */
+    static FILE_TYPES = {
+        jpg: { category: 'image', content: ['jpeg'] },
+        jpeg: { category: 'image', content: ['jpeg'] },
+        png: { category: 'image', content: ['png'] },
+        gif: { category: 'image', content: ['gif'] },
+        webp: { category: 'image', content: ['webp'] },
+        bmp: { category: 'image', content: ['bmp'] },
+        svg: { category: 'image', content: ['text'] },
+        mp4: { category: 'video', content: ['isoMedia'] },
+        mov: { category: 'video', content: ['isoMedia', 'quickTime'] },
+        webm: { category: 'video', content: ['ebml'] },
+        mkv: { category: 'video', content: ['ebml'] },
+        avi: { category: 'video', content: ['avi'] },
+        flv: { category: 'video', content: ['flv'] },
+        pdf: { category: 'document', content: ['pdf'] },
+        doc: { category: 'document', content: ['ole'] },
+        xls: { category: 'document', content: ['ole'] },
+        ppt: { category: 'document', content: ['ole'] },
+        docx: { category: 'document', content: ['zip'] },
+        xlsx: { category: 'document', content: ['zip'] },
+        pptx: { category: 'document', content: ['zip'] },
+        txt: { category: 'document', content: ['text'] },
+        csv: { category: 'document', content: ['text'] }
+    };
+
+    static DEFAULTS = {
+        allowedTypes: ['image', 'video', 'document'],
+        maxFileSize: AttachmentPolicyService.DEFAULT_MAX_FILE_SIZE,
+        maxFiles: 10
+    };
+
+    /**
+     * @param {Object} [options] - `attachments` widget option
+     * @param {Array<string>} [options.allowedTypes] - Categories ('image', 'video', 'document') and/or extensions ('pdf', '.zip')
+     * @param {number|Object} [options.maxFileSize] - Limit in bytes, or limits keyed by extension or category
+     *   (e.g. `{ video: 50 * 1024 * 1024, pdf: 5 * 1024 * 1024 }`); types without a key get 25MB
+     * @param {number} [options.maxFiles=10] - Files that can be sent at once
+     * @param {I18nService} [i18n] - Error messages
+     */
+    constructor(options = {}, i18n = new I18nService()) {
+        this.options = { ...AttachmentPolicyService.DEFAULTS, ...options };
+        this.i18n = i18n;
+        this.allowedExtensions = this.resolveExtensions(this.options.allowedTypes);
+    }
+
+    /**
+     * @returns {Array<string>} - Allowed extensions without the dot, e.g. ['jpg', 'png']
+     */
+    resolveExtensions(allowedTypes) {
+        const extensions = new Set();
+        allowedTypes.forEach(type => {
+            const name = String(type).trim().toLowerCase().replace(/^\./, '');
+            const category = Object.keys(AttachmentPolicyService.FILE_TYPES)
+                .filter(extension => AttachmentPolicyService.FILE_TYPES[extension].category === name);
+
+            if (category.length > 0) {
+                category.forEach(extension => extensions.add(extension));
+            } else if (name) {
+                extensions.add(name);
+            }
+        });
+        return Array.from(extensions);
+    }
+
+    // ==================== FILE TYPES ====================
+
+    getExtension(fileName) {
+        const name = String(fileName || '');
+        const index = name.lastIndexOf('.');
+        return index > 0 ? name.slice(index + 1).toLowerCase() : '';
+    }
+
+    /**
+     * @returns {string} - 'image', 'video', 'document' or 'file' for unknown types
+     */
+    getCategory(fileName) {
+        return AttachmentPolicyService.FILE_TYPES[this.getExtension(fileName)]?.category || 'file';
+    }
+
+    /**
+     * Value for the file input's `accept` attribute, e.g. '.jpg,.jpeg,.png'
+     */
+    getAcceptAttribute() {
+        return this.allowedExtensions.map(extension => `.${extension}`).join(',');
+    }
+
+    getMaxFiles() {
+        return this.options.maxFiles;
+    }
+
+    /**
+     * @returns {number} - Size limit in bytes for a file name
+     */
+    getMaxFileSize(fileName) {
+        const { maxFileSize } = this.options;
+        if (typeof maxFileSize === 'number') return maxFileSize;
+
+        const extension = this.getExtension(fileName);
+        return maxFileSize?.[extension] ?? maxFileSize?.[this.getCategory(fileName)] ?? AttachmentPolicyService.DEFAULT_MAX_FILE_SIZE;
+    }
+
+    // ==================== VALIDATION ====================
+
+    /**
+     * Check a file's name, type and size
+     * @param {File} file - File to check
+     * @param {Object} [options]
+     * @param {boolean} [options.checkSize=true] - Off for images that are shrunk before upload
+     * @returns {Object} - { valid: boolean, code?: string, error?: string }; code is 'missing', 'type' or 'size'
+     */
+    validate(file, { checkSize = true } = {}) {
+        if (!file || !file.name) {
+            return this.reject('missing', 'attachment.missing');
+        }
+
+        const extension = this.getExtension(file.name);
+        if (!this.allowedExtensions.includes(extension)) {
+            return extension
+                ? this.reject('type', 'attachment.typeNotAllowed', { name: file.name, extension })
+                : this.reject('type', 'attachment.typeUnknown', { name: file.name });
+        }
+
+        const limit = this.getMaxFileSize(file.name);
+        if (checkSize && file.size > limit) {
+            return this.reject('size', 'attachment.tooLarge', { name: file.name, limit: this.formatSize(limit) });
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Check that a file's first bytes match its extension
+     * @param {File} file - File that passed validate()
+     * @returns {Promise<Object>} - { valid: boolean, code?: 'content', error?: string }
+     */
+    async validateContent(file) {
+        const type = AttachmentPolicyService.FILE_TYPES[this.getExtension(file.name)];
+        // Extensions the integrator allowed without a known signature are taken as they are
+        if (!type) return { valid: true };
+
+        let header;
+        try {
+            header = await this.readHeader(file);
+        } catch (error) {
+            return this.reject('content', 'attachment.unreadable', { name: file.name });
+        }
+
+        const matches = type.content.some(signature => signature === 'text'
+            ? !header.includes(0)
+            : this.matchesSignature(header, AttachmentPolicyService.SIGNATURES[signature]));
+
+        return matches
+            ? { valid: true }
+            : this.reject('content', 'attachment.contentMismatch', { name: file.name, extension: this.getExtension(file.name) });
+    }
+
+    /**
+     * Check how many files are sent at once
+     * @returns {Object} - { valid: boolean, code?: 'count', error?: string }
+     */
+    validateCount(count) {
+        const { maxFiles } = this.options;
+        return count > maxFiles
+            ? this.reject('count', 'attachment.tooMany', { max: maxFiles })
+            : { valid: true };
+    }
+
+    matchesSignature(header, parts) {
+        return parts.every(([offset, pattern]) => {
+            const bytes = typeof pattern === 'string'
+                ? Array.from(pattern, char => char.charCodeAt(0))
+                : pattern;
+            return bytes.every((byte, index) => header[offset + index] === byte);
+        });
+    }
+
+    /**
+     * @returns {Promise<Uint8Array>} - First HEADER_SIZE bytes of the file
+     */
+    async readHeader(file) {
+        const blob = file.slice(0, AttachmentPolicyService.HEADER_SIZE);
+        if (typeof blob.arrayBuffer === 'function') {
+            return new Uint8Array(await blob.arrayBuffer());
+        }
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(new Uint8Array(reader.result));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(blob);
+        });
+    }
+
+    reject(code, key, params = {}) {
+        return { valid: false, code, error: this.i18n.t(key, params) };
+    }
+
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024) {
+            return `${this.i18n.formatNumber(bytes / (1024 * 1024), { maximumFractionDigits: 1 })} MB`;
+        }
+        if (bytes >= 1024) {
+            return `${this.i18n.formatNumber(bytes / 1024, { maximumFractionDigits: 1 })} KB`;
+        }
+        return `${this.i18n.formatNumber(bytes)} ${this.i18n.t('file.bytes')}`;
+    }
+}
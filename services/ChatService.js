@@ -12,13 +12,45 @@ class ChatService {
      */
     static SDK_CONFIG_POLL_INTERVAL = 300;
 
-    constructor(sdkService, apiService, stateManager, storageService, eventEmitter, logger) {
+    /**
+     * Number of older messages requested per history page
+     */
+    static HISTORY_PAGE_SIZE = 20;
+
+    /**
+     * @param {SDKService} sdkService - Qiscus SDK operations
+     * @param {APIService} apiService - Multichannel API
+     * @param {StateManager} stateManager - Widget state
+     * @param {StorageService} storageService - Stored session
+     * @param {EventEmitter} eventEmitter - Event emitter
+     * @param {LoggerService} logger - Logger
+     * @param {Object} [options] - Optional services
+     * @param {OutboxService} [options.outboxService] - Queue for messages that failed to send; without it failures are thrown
+     * @param {I18nService} [options.i18n] - Translations for system texts and error messages
+     * @param {RichMessageService} [options.richMessageService] - Parser for buttons, card, carousel and quick reply payloads
+     * @param {ImageProcessingService} [options.imageProcessingService] - Shrinks images before upload; without it images are sent as they are
+     * @param {UploadManager} [options.uploadManager] - Upload queue; defaults to one uploading through sdkService
+     * @param {AttachmentPolicyService} [options.attachmentPolicy] - Which files may be sent
+     */
+    constructor(sdkService, apiService, stateManager, storageService, eventEmitter, logger, options = {}) {
         this.sdkService = sdkService;
         this.apiService = apiService;
         this.stateManager = stateManager;
         this.storageService = storageService;
         this.eventEmitter = eventEmitter;
         this.logger = logger;
+        this.outboxService = options.outboxService || null;
+        this.i18n = options.i18n || new I18nService();
+        this.richMessageService = options.richMessageService || new RichMessageService();
+        this.imageProcessingService = options.imageProcessingService || null;
+        this.uploadManager = options.uploadManager || new UploadManager(logger, (file, uploadOptions) => sdkService.upload(file, uploadOptions));
+        this.attachmentPolicy = options.attachmentPolicy || new AttachmentPolicyService({}, this.i18n);
+
+        // Files are prepared one at a time, while their uploads run side by side
+        this.mediaPreparation = Promise.resolve();
+
+        // Sends run one at a time, so messages reach the server in the order they were written
+        this.sendQueue = Promise.resolve();
     }
 
     async initiateChat(appId, channelId, userConfig) {
@@ -151,6 +183,8 @@ class ChatService {
                     messages.push(...previousMessages);
                 }
             }
+            // Previous messages are appended after the room comments, so restore chronological order
+            messages.sort((a, b) => (a.id || 0) - (b.id || 0));
         }
 
         // Update room in state (matches React Native set(roomAtom))
@@ -159,14 +193,20 @@ class ChatService {
         });
 
         // Update messages in state (matches React Native set(messagesAtom))
-        this.stateManager.setMessages(messages);
+        this.stateManager.setMessages(this.markAnsweredQuickReplies(messages));
+        this.stateManager.setState({ hasMoreMessages: messages.length > 0 });
+
+        // Messages still waiting in the outbox stay visible after a reload
+        this.outboxService?.getEntries()
+            .filter(entry => entry.roomId === roomId)
+            .forEach(entry => this.stateManager.addMessage(this.prepareOutgoingMessage(entry)));
 
         // Build subtitle from participants
         let subtitle = [];
         let avatar = room.avatarUrl;
         room.participants?.forEach((participant) => {
             if (participant.id === currentUser?.id) {
-                subtitle.unshift('You');
+                subtitle.unshift(this.i18n.t('message.you'));
             } else {
                 const type = participant.extras?.type;
                 if (type === 'agent') {
@@ -311,7 +351,7 @@ class ChatService {
             const messages = room.comments || [];
 
             this.stateManager.setState({ room });
-            this.stateManager.setMessages(messages);
+            this.stateManager.setMessages(this.markAnsweredQuickReplies(messages));
 
             this.eventEmitter.emit('room:loaded', room);
             this.logger.log('[ChatService] Room loaded with', messages.length, 'messages');
@@ -323,9 +363,11 @@ class ChatService {
 
     /**
      * Send text message
+     * When the send fails (or earlier messages are still queued) the message is
+     * queued in the outbox and retried automatically instead of being lost.
      * @param {string} text - Message text
      * @param {Object} extras - Extra parameters
-     * @returns {Promise<Object>} - Sent message
+     * @returns {Promise<Object>} - Sent message, or the outbox entry when it was queued
      */
     async sendMessage(text, extras = {}) {
         const roomId = this.stateManager.get('roomId');
@@ -337,34 +379,343 @@ class ChatService {
             throw new Error('Message text cannot be empty');
         }
 
-        try {
-            this.logger.log('[ChatService] Sending text message:', text);
+        return this.sendOutgoing({
+            id: this.generateUniqueId(),
+            type: 'text',
+            roomId,
+            text,
+            extras
+        });
+    }
+
+    /**
+     * Answer a tapped postback button or quick reply, the way the Qiscus SDK does:
+     * a `button_postback_response` message with the button's postback text and payload
+     * @param {Object} button - Normalized button from RichMessageService
+     * @returns {Promise<Object>} - Sent message, or the outbox entry when it was queued
+     */
+    async sendPostback(button) {
+        const roomId = this.stateManager.get('roomId');
+        if (!roomId) {
+            throw new Error('No active room');
+        }
 
-            const message = await this.sdkService.sendMessage(roomId, text, extras);
+        return this.sendOutgoing({
+            id: this.generateUniqueId(),
+            type: 'postback',
+            roomId,
+            text: button.text || button.label,
+            extras: {},
+            payload: button.payload || {}
+        });
+    }
 
-            this.stateManager.addMessage(message);
+    /**
+     * Show an outgoing text or postback entry right away, then send it or queue it in the outbox
+     * @param {Object} entry - Outbox entry
+     * @returns {Promise<Object>} - Sent message, or the outbox entry when it was queued
+     */
+    async sendOutgoing(entry) {
+        // Show the message right away; it is reconciled with the server copy by unique_temp_id
+        this.stateManager.addMessage(this.prepareOutgoingMessage(entry));
+        this.closeQuickReplies();
+
+        // Keep ordering: wait for earlier sends, and never overtake messages that are still waiting in the outbox
+        return this.enqueueSend(async () => {
+            if (this.outboxService?.hasPending()) {
+                return this.outboxService.enqueue(entry);
+            }
+
+            try {
+                this.logger.log(`[ChatService] Sending ${entry.type} message:`, entry.text);
+                return await this.deliverOutboxEntry(entry);
+            } catch (error) {
+                this.logger.error('[ChatService] Send message error:', error);
+                if (this.outboxService) {
+                    return this.outboxService.enqueue({ ...entry, attempts: 1, lastError: error.message });
+                }
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Quick replies are offered until the customer answers; hide the ones still open
+     */
+    closeQuickReplies() {
+        this.stateManager.get('messagesList')
+            .filter(message => this.richMessageService.hasOpenQuickReplies(message))
+            .forEach(message => {
+                const key = message.unique_temp_id || message.unique_id || message.id;
+                this.stateManager.updateMessage(key, { quick_reply_answered: true });
+            });
+    }
+
+    /**
+     * Mark quick replies in loaded history that the customer already answered
+     * @param {Array} messages - Messages in chronological order
+     * @param {boolean} [hasReplyAfter=false] - Whether a customer message follows the whole list
+     * @returns {Array} - Messages, with answered quick replies flagged
+     */
+    markAnsweredQuickReplies(messages, hasReplyAfter = false) {
+        let answered = hasReplyAfter;
+        return messages.slice().reverse().map(message => {
+            const marked = answered && this.richMessageService.hasOpenQuickReplies(message)
+                ? { ...message, quick_reply_answered: true }
+                : message;
+            answered = answered || this.isOwnMessage(message);
+            return marked;
+        }).reverse();
+    }
+
+    isOwnMessage(message) {
+        return message.user_extras?.is_customer === true;
+    }
+
+    /**
+     * Run a send once the sends started before it have finished
+     * A send that fails is queued in the outbox before the next one starts, so the next one
+     * finds it pending and queues behind it instead of overtaking it.
+     * @param {Function} send - async () => result
+     * @returns {Promise} - Result of the send
+     */
+    enqueueSend(send) {
+        const result = this.sendQueue.then(send);
+        this.sendQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Send one outbox entry (text or media) and add the result to the message list
+     * @param {Object} entry - Outbox entry
+     * @returns {Promise<Object>} - Sent message
+     */
+    async deliverOutboxEntry(entry) {
+        this.stateManager.updateMessage(entry.id, { status: 'pending' });
+
+        try {
+            if (entry.type === 'media') {
+                return await this.deliverMediaEntry(entry);
+            }
+
+            const message = entry.type === 'postback'
+                ? await this.sdkService.sendPostback(entry.roomId, entry.text, entry.payload, entry.id)
+                : await this.sdkService.sendMessage(entry.roomId, entry.text, entry.extras, entry.id);
+            this.stateManager.upsertMessage({ ...message, status: message.status || 'sent' });
             this.eventEmitter.emit('message:sent', message);
             return message;
         } catch (error) {
-            this.logger.error('[ChatService] Send message error:', error);
+            this.stateManager.updateMessage(entry.id, { status: 'failed' });
             throw error;
         }
     }
 
+    async deliverMediaEntry(entry) {
+        if (!this.sdkService.sdk) throw new Error('SDK not initialized');
+
+        const mediaOrDocs = {
+            uri: entry.file,
+            type: entry.mimeType,
+            name: entry.name,
+            size: entry.size
+        };
+
+        let fileURL = entry.fileURL;
+        if (!fileURL) {
+            if (!entry.file) throw new Error('File is no longer available for upload');
+            fileURL = await this.uploadFile(mediaOrDocs, entry.id);
+            if (!fileURL) throw new Error('Upload failed: No URL returned');
+            this.outboxService?.update(entry.id, { fileURL });
+        }
+
+        const tempMessage = { message: this.i18n.t('message.fileAttachment', { name: entry.name }), uniqueId: entry.id };
+        const sentMessage = await this.sendMediaMessage(entry.roomId, mediaOrDocs, fileURL, tempMessage);
+        this.reconcileMediaMessage(entry.id, sentMessage);
+        this.eventEmitter.emit('media:uploaded', { message: sentMessage, fileURL });
+        return sentMessage;
+    }
+
+    /**
+     * Replace the optimistic file bubble with the server copy and release its local preview URL
+     */
+    reconcileMediaMessage(uniqueId, sentMessage) {
+        const tempMessage = this.stateManager.getMessage(uniqueId);
+        this.stateManager.upsertMessage({ ...sentMessage, status: sentMessage.status || 'sent' });
+        this.revokePreviewURL(tempMessage);
+    }
+
+    revokePreviewURL(message) {
+        const url = message?.payload?.url;
+        if (url && url.startsWith('blob:') && typeof URL !== 'undefined' && URL.revokeObjectURL) {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    generateUniqueId() {
+        return 'temp-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Build the optimistic message shown while an outbox entry is being sent
+     * @param {Object} entry - Outbox entry
+     * @returns {Object} - Message with status 'pending', or 'failed' once a send attempt failed
+     */
+    prepareOutgoingMessage(entry) {
+        const message = entry.type === 'media'
+            ? this.prepareFileMessage(entry.name, entry.file || entry.fileURL, entry.id, entry.size)
+            : this.prepareTextMessage(entry.text, entry.extras, entry.id);
+
+        if (entry.type === 'postback') {
+            message.type = RichMessageService.POSTBACK_TYPE;
+            message.payload = entry.payload;
+        }
+
+        message.room_id = entry.roomId;
+        message.status = entry.attempts > 0 ? 'failed' : 'pending';
+        return message;
+    }
+
+    /**
+     * Prepare temporary message for a text send
+     */
+    prepareTextMessage(text, extras = {}, uniqueId = this.generateUniqueId()) {
+        return {
+            ...this.getOutgoingSender(),
+            unique_temp_id: uniqueId,
+            unique_id: uniqueId,
+            message: text,
+            type: 'text',
+            extras,
+            timestamp: new Date().toISOString(),
+            status: 'pending'
+        };
+    }
+
+    /**
+     * Sender fields of messages sent by the current customer
+     */
+    getOutgoingSender() {
+        const user = this.stateManager.get('currentUser')?.user || {};
+        return {
+            email: user.email,
+            username: user.username,
+            user_avatar_url: user.avatar_url,
+            user_extras: { ...user.extras, is_customer: true }
+        };
+    }
+
+    /**
+     * Retry a failed message now instead of waiting for the next automatic retry
+     * @param {string} uniqueId - unique_temp_id of the message
+     */
+    retryMessage(uniqueId) {
+        const entry = this.outboxService?.get(uniqueId);
+        // A file lost on reload can't be sent again, only deleted
+        if (!entry || this.outboxService.isLost(entry)) return;
+
+        this.logger.log('[ChatService] Retrying message:', uniqueId);
+        this.stateManager.updateMessage(uniqueId, { status: 'pending' });
+        this.outboxService.flush();
+    }
+
+    /**
+     * Drop an unsent message from the outbox and the message list
+     * @param {string} uniqueId - unique_temp_id of the message
+     */
+    discardMessage(uniqueId) {
+        const message = this.stateManager.getMessage(uniqueId);
+        if (message && message.status !== 'pending' && message.status !== 'failed') return;
+
+        this.logger.log('[ChatService] Discarding unsent message:', uniqueId);
+        this.uploadManager.cancel(uniqueId);
+        this.outboxService?.remove(uniqueId);
+        this.stateManager.removeMessage(uniqueId);
+        this.revokePreviewURL(message);
+    }
+
+    /**
+     * Tell the agent whether the customer is typing in the current room
+     * @param {boolean} isTyping - Typing status
+     */
+    publishTyping(isTyping) {
+        const roomId = this.stateManager.get('roomId');
+        if (!roomId || !this.sdkService.isLoggedIn()) return;
+
+        try {
+            this.sdkService.publishTyping(roomId, isTyping);
+        } catch (error) {
+            this.logger.error('[ChatService] Publish typing error:', error);
+        }
+    }
+
+    /**
+     * Load the previous page of history into the top of the message list
+     * Does nothing while a page is loading or once the server has no more history.
+     * @returns {Promise<Array>} - Older messages that were added
+     */
     async loadMoreMessages() {
-        const messages = this.stateManager.get('messagesList');
-        if (messages.length === 0) return [];
+        if (this.stateManager.get('isLoadingMore') || !this.stateManager.get('hasMoreMessages')) return [];
+
+        // Optimistic messages have no server ID yet, so page from the oldest server message
+        const messageIds = this.stateManager.get('messagesList')
+            .map(message => message.id)
+            .filter(id => typeof id === 'number' && id > 0);
+        if (messageIds.length === 0) return [];
+
+        const lastMessageId = Math.min(...messageIds);
+        const limit = ChatService.HISTORY_PAGE_SIZE;
+
+        this.stateManager.setState({ isLoadingMore: true });
+        this.eventEmitter.emit('history:loading');
 
         try {
-            const lastMessageId = messages[0].id;
-            const olderMessages = await this.sdkService.loadMoreMessages(lastMessageId);
-            this.stateManager.prependMessages(olderMessages);
-            this.logger.log('[ChatService] Loaded', olderMessages.length, 'more messages');
-            return olderMessages;
+            const olderMessages = await this.sdkService.loadMoreMessages(lastMessageId, limit) || [];
+            const hasReplyAfter = this.stateManager.get('messagesList').some(message => this.isOwnMessage(message));
+            const addedMessages = this.stateManager.prependMessages(this.markAnsweredQuickReplies(olderMessages, hasReplyAfter));
+            const hasMoreMessages = olderMessages.length >= limit && addedMessages.length > 0;
+
+            this.stateManager.setState({ hasMoreMessages });
+            this.logger.log('[ChatService] Loaded', addedMessages.length, 'more messages, has more:', hasMoreMessages);
+            this.eventEmitter.emit('history:loaded', { messages: addedMessages, hasMoreMessages });
+            return addedMessages;
         } catch (error) {
             this.logger.error('[ChatService] Load more messages error:', error);
+            this.eventEmitter.emit('history:loaded', { messages: [], hasMoreMessages: true, error });
             return [];
+        } finally {
+            this.stateManager.setState({ isLoadingMore: false });
+        }
+    }
+
+    /**
+     * Page through the rest of the room history, e.g. for a transcript
+     * @returns {Promise<Array>} - Every message of the room, oldest first
+     * @throws {Error} - When a page fails to load, so a partial history is never taken for the whole
+     */
+    async loadFullHistory() {
+        let failure = null;
+        const unsubscribe = this.eventEmitter.on('history:loaded', ({ error }) => {
+            if (error) failure = error;
+        });
+
+        try {
+            while (this.stateManager.get('hasMoreMessages')) {
+                // A page requested by scrolling is already on its way; wait for it instead of skipping ahead
+                if (this.stateManager.get('isLoadingMore')) {
+                    await new Promise(resolve => this.eventEmitter.once('history:loaded', resolve));
+                    continue;
+                }
+
+                failure = null;
+                const addedMessages = await this.loadMoreMessages();
+                if (failure) throw failure;
+                if (addedMessages.length === 0) break;
+            }
+        } finally {
+            unsubscribe();
         }
+
+        return this.stateManager.get('messagesList');
     }
 
     handleNewMessages(messages) {
@@ -379,10 +730,159 @@ class ChatService {
 
             this.eventEmitter.emit('message:received', message);
         });
+
+        const roomId = this.stateManager.get('roomId');
+        const resolvedNotice = messages.find(message =>
+            Number(message.room_id) === Number(roomId) && this.isResolutionSystemMessage(message)
+        );
+        if (resolvedNotice) {
+            this.markRoomResolved();
+        }
+    }
+
+    /**
+     * Whether a message is the system notice Multichannel posts when an agent resolves the room
+     */
+    isResolutionSystemMessage(message) {
+        if (message.type !== 'system_event' && message.type !== 'custom') return false;
+
+        const payload = message.payload || {};
+        if (payload.type === 'resolved' || payload.is_resolved === true || message.extras?.is_resolved === true) {
+            return true;
+        }
+        return message.type === 'system_event' && /\bresolved\b/i.test(message.message || '');
+    }
+
+    /**
+     * Apply a delivery/read receipt from the SDK to the current room's messages
+     * @param {Object} data - Receipt from commentDeliveredCallback/commentReadCallback ({ comment, actor } or the comment itself)
+     * @param {string} status - 'delivered' or 'read'
+     * @returns {Array} - Own messages whose status changed
+     */
+    handleMessageStatus(data, status) {
+        const comment = data?.comment || data;
+        const commentId = Number(comment?.id);
+        if (!commentId) return [];
+
+        const roomId = comment.room_id ?? data?.roomId;
+        if (roomId != null && Number(roomId) !== Number(this.stateManager.get('roomId'))) return [];
+
+        // Receipts caused by the customer's own actions don't say anything about the agent
+        const currentUser = this.stateManager.get('currentUser')?.user;
+        const actor = data?.actor?.email || data?.actor?.id || data?.actor || data?.userId;
+        if (actor && currentUser && (actor === currentUser.email || actor === currentUser.id)) return [];
+
+        const ownMessages = this.stateManager.updateMessageStatus(commentId, status)
+            .filter(message => message.user_extras?.is_customer === true);
+
+        ownMessages.forEach(message => {
+            this.eventEmitter.emit('message:statusChanged', { message, status });
+        });
+        return ownMessages;
+    }
+
+    /**
+     * Apply a realtime comment deletion to the current room
+     * @param {Object} data - { roomId, commentUniqueIds } from commentDeletedCallback
+     * @param {boolean} [tombstone=false] - Keep a "message deleted" placeholder instead of removing the message
+     * @returns {Array} - Deleted messages
+     */
+    handleCommentDeleted(data, tombstone = false) {
+        const roomId = data?.roomId ?? data?.room_id;
+        if (roomId != null && Number(roomId) !== Number(this.stateManager.get('roomId'))) return [];
+
+        const uniqueIds = data?.commentUniqueIds || data?.unique_ids || (data?.unique_id ? [data.unique_id] : []);
+        const deleted = uniqueIds
+            .map(uniqueId => this.stateManager.deleteMessage(uniqueId, tombstone))
+            .filter(Boolean);
+
+        deleted.forEach(message => this.eventEmitter.emit('message:deleted', message));
+        this.logger.log('[ChatService] Deleted', deleted.length, 'messages');
+        return deleted;
+    }
+
+    /**
+     * Clear the message list when the current room is cleared
+     * @param {Object} data - Room data from roomClearedCallback
+     */
+    handleRoomCleared(data) {
+        const roomId = data?.room_id ?? data?.roomId ?? data?.id;
+        if (roomId != null && Number(roomId) !== Number(this.stateManager.get('roomId'))) return;
+
+        this.stateManager.clearMessages();
+        this.eventEmitter.emit('room:cleared', { roomId: this.stateManager.get('roomId') });
+        this.logger.log('[ChatService] Room cleared');
+    }
+
+    /**
+     * Apply a realtime room update and emit room:resolved when the current room becomes resolved
+     * @param {Object} data - Updated room from the SDK
+     */
+    handleRoomChanged(data) {
+        const roomId = data?.id ?? data?.room_id;
+        if (roomId == null || Number(roomId) !== Number(this.stateManager.get('roomId'))) return;
+
+        const wasResolved = this.checkIfRoomResolved();
+        const room = { ...this.stateManager.get('room'), ...data };
+        this.stateManager.setState({ room });
+        this.eventEmitter.emit('room:loaded', room);
+
+        if (!wasResolved && this.checkIfRoomResolved(room)) {
+            this.logger.log('[ChatService] Room resolved:', roomId);
+            this.eventEmitter.emit('room:resolved', { roomId: this.stateManager.get('roomId'), room });
+        }
+    }
+
+    /**
+     * Flag the current room as resolved (e.g. after a resolution system message) and emit room:resolved
+     */
+    markRoomResolved() {
+        if (this.checkIfRoomResolved()) return;
+
+        const room = this.stateManager.get('room') || {};
+        let options = {};
+        try {
+            options = typeof room.options === 'string' ? JSON.parse(room.options) : room.options || {};
+        } catch (error) {
+            this.logger.error('[ChatService] Failed to parse room.options:', error);
+        }
+
+        const resolvedOptions = { ...options, is_resolved: true };
+        const resolvedRoom = {
+            ...room,
+            options: typeof room.options === 'string' ? JSON.stringify(resolvedOptions) : resolvedOptions
+        };
+        this.stateManager.setState({ room: resolvedRoom });
+
+        this.logger.log('[ChatService] Room resolved:', this.stateManager.get('roomId'));
+        this.eventEmitter.emit('room:resolved', { roomId: this.stateManager.get('roomId'), room: resolvedRoom });
     }
 
-    checkIfRoomResolved() {
-        const room = this.stateManager.get('room');
+    /**
+     * Leave a resolved room and start a fresh conversation for the same user.
+     * Only sessional apps open a new room; otherwise the resolved room is reused.
+     * @param {string} appId - Qiscus application ID
+     * @param {string} channelId - Channel ID
+     * @param {Object} userConfig - User configuration
+     * @returns {Promise<Object|null>} - User data, or null when the app is not sessional
+     */
+    async startNewConversation(appId, channelId, userConfig) {
+        const isSessional = await this.shouldCreateNewSession(appId);
+        if (!isSessional) {
+            this.logger.log('[ChatService] App is not sessional, keeping the current room');
+            return null;
+        }
+
+        // Forget the stored room so initiateChat() doesn't restore the resolved one
+        this.outboxService?.clear();
+        this.storageService.clearSession();
+        this.stateManager.clearMessages();
+        this.stateManager.setState({ room: null, roomId: null, isLoggedIn: false });
+
+        return await this.initiateChat(appId, channelId, userConfig);
+    }
+
+    checkIfRoomResolved(room = this.stateManager.get('room')) {
         this.logger.log('[ChatService] checkIfRoomResolved Room:', room);
         if (!room) return false;
 
@@ -403,6 +903,7 @@ class ChatService {
     }
 
     clearSession() {
+        this.outboxService?.clear();
         this.storageService.clearSession();
         this.stateManager.reset();
         this.eventEmitter.emit('session:cleared');
@@ -414,34 +915,28 @@ class ChatService {
      * Get file extension from filename
      */
     getFileExtension(filename) {
-        return filename.slice((filename.lastIndexOf(".") - 1 >>> 0) + 2);
+        return this.attachmentPolicy.getExtension(filename);
     }
 
     /**
      * Check if file is an image
      */
     isImageFile(filename) {
-        const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg'];
-        const ext = this.getFileExtension(filename).toLowerCase();
-        return imageExtensions.includes(ext);
+        return this.attachmentPolicy.getCategory(filename) === 'image';
     }
 
     /**
      * Check if file is a video
      */
     isVideoFile(filename) {
-        const videoExtensions = ['mp4', 'webm', 'mov', 'avi', 'mkv', 'flv'];
-        const ext = this.getFileExtension(filename).toLowerCase();
-        return videoExtensions.includes(ext);
+        return this.attachmentPolicy.getCategory(filename) === 'video';
     }
 
     /**
      * Check if file is a document
      */
     isDocumentFile(filename) {
-        const docExtensions = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'csv'];
-        const ext = this.getFileExtension(filename).toLowerCase();
-        return docExtensions.includes(ext);
+        return this.attachmentPolicy.getCategory(filename) === 'document';
     }
 
     /**
@@ -455,13 +950,23 @@ class ChatService {
 
     /**
      * Prepare temporary message for file upload
+     * Rendered as a file bubble with a local preview until the upload completes
      */
-    prepareFileMessage(filename, uri) {
+    prepareFileMessage(filename, uri, uniqueId = this.generateUniqueId(), size = 0) {
+        const isBlob = typeof Blob !== 'undefined' && uri instanceof Blob;
+        const previewURL = isBlob && typeof URL !== 'undefined' && URL.createObjectURL
+            ? URL.createObjectURL(uri)
+            : (typeof uri === 'string' ? uri : null);
+
         return {
-            message: `File attachment: ${filename}`,
-            uniqueId: 'temp-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
-            timestamp: new Date(),
-            type: 'file',
+            ...this.getOutgoingSender(),
+            message: this.i18n.t('message.fileAttachment', { name: filename }),
+            uniqueId: uniqueId,
+            unique_temp_id: uniqueId,
+            unique_id: uniqueId,
+            timestamp: new Date().toISOString(),
+            type: 'file_attachment',
+            payload: { url: previewURL, file_name: filename, size: size || uri?.size || 0 },
             uri: uri,
             filename: filename,
             status: 'pending'
@@ -469,36 +974,26 @@ class ChatService {
     }
 
     /**
-     * Validate file before upload
+     * Validate file before upload against the attachment policy (type and size)
+     * Images that will be compressed skip the size limit here; it applies to the processed image.
+     * The content is checked when the file is sent, see validateFileContent().
      * @param {File} file - File object
-     * @returns {Object} - Validation result { valid: boolean, error: string }
+     * @param {Object} [options]
+     * @param {boolean} [options.processed=false] - The file is the result of image processing
+     * @returns {Object} - Validation result { valid: boolean, code?: string, error?: string }
      */
-    validateFile(file) {
-        const MAX_FILE_SIZE = 25 * 1024 * 1024; // 25MB
-        const ALLOWED_EXTENSIONS = [
-            'jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg', // Images
-            'mp4', 'webm', 'mov', 'avi', 'mkv', 'flv', // Videos
-            'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'csv' // Documents
-        ];
-
-        if (!file) {
-            return { valid: false, error: 'No file provided' };
-        }
-
-        if (!file.name) {
-            return { valid: false, error: 'File name is missing' };
-        }
-
-        const ext = this.getFileExtension(file.name).toLowerCase();
-        if (!ALLOWED_EXTENSIONS.includes(ext)) {
-            return { valid: false, error: `File type .${ext} is not supported` };
-        }
-
-        if (file.size > MAX_FILE_SIZE) {
-            return { valid: false, error: `File size exceeds 25MB limit (${Math.round(file.size / 1024 / 1024)}MB)` };
-        }
+    validateFile(file, { processed = false } = {}) {
+        const willBeProcessed = !processed && this.imageProcessingService?.canProcess(file);
+        return this.attachmentPolicy.validate(file, { checkSize: !willBeProcessed });
+    }
 
-        return { valid: true };
+    /**
+     * Check that a file's first bytes match its extension
+     * @param {File} file - File object
+     * @returns {Promise<Object>} - Validation result { valid: boolean, code?: string, error?: string }
+     */
+    validateFileContent(file) {
+        return this.attachmentPolicy.validateContent(file);
     }
 
     /**
@@ -523,10 +1018,11 @@ class ChatService {
 
     /**
      * Upload and send media file
-     * Complete flow: validate → upload → send message
+     * Complete flow: process → upload → send message. Uploads of several files run side by side
+     * (see UploadManager), but their messages are sent in the order the files were added.
      * @param {Object} mediaOrDocs - File object { uri: File, type, name, size }
      * @param {number} roomId - Room ID
-     * @returns {Promise<Object>} - Sent message
+     * @returns {Promise<Object|null>} - Sent message, the outbox entry when it was queued, or null when the upload was cancelled
      */
     async uploadAndSendMedia(mediaOrDocs, roomId) {
         // === VALIDATION ===
@@ -535,66 +1031,176 @@ class ChatService {
         if (!mediaOrDocs?.uri) throw new Error('Invalid file object');
         if (!mediaOrDocs.name) throw new Error('File name is required');
 
+        // Bubbles appear in the order the files were added, even when one image takes longer to process
+        const preparing = this.mediaPreparation.then(() => this.prepareMediaEntry(mediaOrDocs, roomId));
+        this.mediaPreparation = preparing.catch(() => {});
+        const entry = await preparing;
+
+        // Keep ordering: never overtake messages that are still waiting in the outbox
+        if (this.outboxService?.hasPending()) {
+            return this.outboxService.enqueue(entry);
+        }
+
+        const sending = this.uploadMediaEntry(entry, this.sendQueue);
+        this.sendQueue = sending.catch(() => {});
+        return sending;
+    }
+
+    /**
+     * Check and process the file, then show its pending bubble
+     * @returns {Promise<Object>} - Outbox entry of the file
+     */
+    async prepareMediaEntry(mediaOrDocs, roomId) {
+        // === CONTENT CHECK ===
+        const content = await this.validateFileContent(mediaOrDocs.uri);
+        if (!content.valid) {
+            this.eventEmitter.emit('media:rejected', { file: mediaOrDocs.uri, code: content.code, error: content.error });
+            throw new Error(content.error);
+        }
+
+        // === IMAGE PROCESSING ===
+        mediaOrDocs = await this.processImage(mediaOrDocs);
+
         this.logger.log('[ChatService] 📤 Starting media upload:', mediaOrDocs.name);
 
-        // Prepare temp message for UI tracking
-        const tempMessage = this.prepareFileMessage(mediaOrDocs.name, mediaOrDocs.uri);
-        this.eventEmitter.emit('media:uploading', { message: tempMessage, file: mediaOrDocs });
+        const entry = {
+            id: this.generateUniqueId(),
+            type: 'media',
+            roomId,
+            file: mediaOrDocs.uri,
+            name: mediaOrDocs.name,
+            size: mediaOrDocs.size,
+            mimeType: mediaOrDocs.type
+        };
+        this.stateManager.addMessage(this.prepareOutgoingMessage(entry));
+        this.closeQuickReplies();
+        return entry;
+    }
+
+    /**
+     * Upload a file right away and send its message once the files added before it were sent
+     * @param {Object} entry - Outbox entry of the file
+     * @param {Promise} previous - Settles once the message before it was sent, queued or cancelled
+     * @returns {Promise<Object|null>} - Sent message, the outbox entry when it was queued, or null when cancelled
+     */
+    async uploadMediaEntry(entry, previous) {
+        const mediaOrDocs = { uri: entry.file, type: entry.mimeType, name: entry.name, size: entry.size };
+        const tempMessage = { message: this.i18n.t('message.fileAttachment', { name: entry.name }), uniqueId: entry.id };
+        this.eventEmitter.emit('media:uploading', { message: this.stateManager.getMessage(entry.id), file: mediaOrDocs });
 
+        let fileURL = null;
         try {
             // === STEP 1: Upload file to Qiscus CDN ===
             this.logger.log('[ChatService] ⬆️  Uploading to CDN...');
-            const fileURL = await this.uploadFile(mediaOrDocs);
-            
+            fileURL = await this.uploadFile(mediaOrDocs, entry.id);
+
             if (!fileURL) throw new Error('Upload failed: No URL returned');
             this.logger.log('[ChatService] ✅ File uploaded:', fileURL);
 
-            // === STEP 2: Send message with file URL ===
+            // === STEP 2: Send message with file URL, after the files added before it ===
+            await previous;
+            if (this.outboxService?.hasPending()) {
+                return this.outboxService.enqueue({ ...entry, fileURL });
+            }
+
             this.logger.log('[ChatService] 💬 Sending message...');
-            const sentMessage = await this.sendMediaMessage(roomId, mediaOrDocs, fileURL, tempMessage);
-            this.stateManager.addMessage(sentMessage);
+            const sentMessage = await this.sendMediaMessage(entry.roomId, mediaOrDocs, fileURL, tempMessage);
+            this.reconcileMediaMessage(entry.id, sentMessage);
             this.logger.log('[ChatService] ✅ Message sent successfully');
 
             // Emit success
             this.eventEmitter.emit('media:uploaded', { message: sentMessage, fileURL });
             return sentMessage;
-            
+
         } catch (error) {
+            // cancelUpload() already removed the message
+            if (UploadManager.isCancelled(error)) return null;
+
             this.logger.error('[ChatService] ❌ Upload failed:', error);
             this.eventEmitter.emit('media:error', { message: tempMessage, error });
+            this.stateManager.updateMessage(entry.id, { status: 'failed' });
+
+            // Queue behind the files added before it, so a retry keeps the order
+            await previous;
+            if (this.outboxService) {
+                return this.outboxService.enqueue({ ...entry, fileURL, attempts: 1, lastError: error.message });
+            }
             throw error;
         }
     }
 
     /**
-     * Upload file to Qiscus CDN
+     * Stop uploading a file and drop its message
+     * @param {string} uniqueId - unique_temp_id of the file's message
+     * @returns {boolean} - Whether an upload was cancelled
+     */
+    cancelUpload(uniqueId) {
+        if (!this.uploadManager.cancel(uniqueId)) return false;
+
+        const message = this.stateManager.getMessage(uniqueId);
+        this.outboxService?.remove(uniqueId);
+        this.stateManager.removeMessage(uniqueId);
+        this.revokePreviewURL(message);
+        this.eventEmitter.emit('media:cancelled', { uniqueId, filename: message?.payload?.file_name || null });
+        return true;
+    }
+
+    /**
+     * Resize and re-encode an image before it is uploaded
+     * The result is validated again, since the size limit was not applied to the raw photo.
+     * @param {Object} mediaOrDocs - File object { uri: File, type, name, size }
+     * @returns {Promise<Object>} - File object of the processed image, or the given one for other files
+     */
+    async processImage(mediaOrDocs) {
+        if (!this.imageProcessingService?.canProcess(mediaOrDocs.uri)) return mediaOrDocs;
+
+        let file = mediaOrDocs.uri;
+        try {
+            file = await this.imageProcessingService.process(mediaOrDocs.uri);
+            this.logger.log('[ChatService] 🖼️  Image processed:', mediaOrDocs.size, '→', file.size, 'bytes');
+        } catch (error) {
+            // The original still carries its metadata, so it is only sent when the host allows it
+            if (!this.imageProcessingService.options.fallbackToOriginal) {
+                this.logger.warn('[ChatService] Image processing failed, file rejected:', error);
+                const message = this.i18n.t('upload.processingFailed', { name: mediaOrDocs.name });
+                this.eventEmitter.emit('media:rejected', { file: mediaOrDocs.uri, code: 'processing', error: message });
+                throw new Error(message);
+            }
+            this.logger.warn('[ChatService] Image processing failed, uploading the original:', error);
+        }
+
+        const validation = this.validateFile(file, { processed: true });
+        if (!validation.valid) {
+            this.eventEmitter.emit('media:rejected', { file: mediaOrDocs.uri, code: validation.code, error: validation.error });
+            throw new Error(validation.error);
+        }
+
+        return { uri: file, type: file.type, name: file.name, size: file.size };
+    }
+
+    /**
+     * Upload file to Qiscus CDN through the upload manager
+     * While it runs, the message with the given ID carries `upload: { status, percent }`
+     * so its bubble shows the progress and a cancel button.
      * @param {Object} mediaOrDocs - File object { uri: File, name, size }
+     * @param {string} [uniqueId] - unique_temp_id of the file's message
      * @returns {Promise<string>} - Uploaded file URL
      */
-    uploadFile(mediaOrDocs) {
-        return new Promise((resolve, reject) => {
-            // SDK upload expects just the File object
-            this.sdkService.sdk.upload(mediaOrDocs.uri, (error, progress, fileURL) => {
-                if (error) {
-                    reject(error);
-                    return;
-                }
-
-                // Progress callback
-                if (progress) {
-                    const percent = Math.round(progress.percent);
+    async uploadFile(mediaOrDocs, uniqueId = this.generateUniqueId()) {
+        try {
+            return await this.uploadManager.upload(uniqueId, mediaOrDocs.uri, ({ status, percent }) => {
+                this.stateManager.updateMessage(uniqueId, { upload: { status, percent } });
+                if (status === 'uploading') {
                     this.eventEmitter.emit('media:progress', {
+                        uniqueId,
                         filename: mediaOrDocs.name,
-                        percent: percent
+                        percent
                     });
                 }
-
-                // Success callback
-                if (fileURL) {
-                    resolve(fileURL);
-                }
             });
-        });
+        } finally {
+            this.stateManager.updateMessage(uniqueId, { upload: null });
+        }
     }
 
     /**
@@ -621,7 +1227,7 @@ class ChatService {
         return this.sdkService.sdk.sendComment(
             message.room_id,
             message.message,
-            message.unique_id,
+            tempMessage.uniqueId || message.unique_id,
             message.type,
             message.payload,
             message.extras
@@ -0,0 +1,148 @@
+/**
+ * CsatService - Customer satisfaction survey shown after a room is resolved
+ * Normalizes the `csat` config, remembers which rooms were surveyed (across reloads)
+ * and submits results through APIService.
+ * Follows Single Responsibility Principle
+ */
+class CsatService {
+    static RATING_TYPES = ['stars', 'emoji'];
+
+    /**
+     * Emoji faces from most negative to most positive, picked evenly for the scale
+     */
+    static EMOJI_FACES = ['😞', '😕', '😐', '🙂', '😄'];
+
+    /**
+     * @param {APIService} apiService - API used to submit results
+     * @param {StorageService} storageService - Storage for surveyed room IDs
+     * @param {EventEmitter} eventEmitter - Event emitter
+     * @param {LoggerService} logger - Logger
+     * @param {Object} config - `csat` widget option
+     * @param {I18nService} [i18n] - Translations for the default survey texts
+     */
+    constructor(apiService, storageService, eventEmitter, logger, config = {}, i18n = new I18nService()) {
+        this.apiService = apiService;
+        this.storageService = storageService;
+        this.eventEmitter = eventEmitter;
+        this.logger = logger;
+        this.i18n = i18n;
+        this.survey = this.normalizeConfig(config);
+    }
+
+    normalizeConfig(config) {
+        const ratingType = config.ratingType || 'stars';
+        if (!CsatService.RATING_TYPES.includes(ratingType)) {
+            throw new Error(`Unsupported csat ratingType "${ratingType}"`);
+        }
+
+        const scale = Number(config.scale) || 5;
+        if (ratingType === 'emoji' && scale > CsatService.EMOJI_FACES.length) {
+            throw new Error(`csat emoji ratings support a scale of up to ${CsatService.EMOJI_FACES.length}`);
+        }
+
+        const nps = config.nps === true ? {} : config.nps || null;
+        // Texts left out of the config are translated when the survey is shown
+        return {
+            title: config.title || null,
+            ratingType,
+            scale,
+            comment: config.comment !== false,
+            commentPlaceholder: config.commentPlaceholder || null,
+            nps: nps ? { question: nps.question || null } : null,
+            submitLabel: config.submitLabel || null,
+            thankYouMessage: config.thankYouMessage || null,
+            endpoint: config.endpoint || null
+        };
+    }
+
+    /**
+     * Survey with default texts translated for the current locale
+     */
+    getSurvey() {
+        const { survey, i18n } = this;
+        return {
+            ...survey,
+            title: survey.title || i18n.t('csat.title'),
+            commentPlaceholder: survey.commentPlaceholder || i18n.t('csat.commentPlaceholder'),
+            nps: survey.nps ? { question: survey.nps.question || i18n.t('csat.npsQuestion') } : null,
+            submitLabel: survey.submitLabel || i18n.t('csat.submit'),
+            skipLabel: i18n.t('csat.skip'),
+            thankYouMessage: survey.thankYouMessage || i18n.t('csat.thankYou')
+        };
+    }
+
+    /**
+     * Labels of the rating options, lowest first
+     * @returns {Array<string>}
+     */
+    getRatingOptions() {
+        const { ratingType, scale } = this.survey;
+        if (ratingType === 'stars') {
+            return Array.from({ length: scale }, () => '★');
+        }
+
+        const faces = CsatService.EMOJI_FACES;
+        if (scale === 1) return [faces[faces.length - 1]];
+        return Array.from({ length: scale }, (_, index) =>
+            faces[Math.round(index * (faces.length - 1) / (scale - 1))]
+        );
+    }
+
+    shouldSurvey(roomId) {
+        return roomId != null && !this.isSurveyed(roomId);
+    }
+
+    isSurveyed(roomId) {
+        return this.getSurveyedRooms().includes(String(roomId));
+    }
+
+    /**
+     * Remember that a room was surveyed (answered or skipped) so it is never asked again
+     */
+    markSurveyed(roomId) {
+        const rooms = this.getSurveyedRooms();
+        if (rooms.includes(String(roomId))) return;
+        rooms.push(String(roomId));
+        this.storageService.setItem('surveyedRooms', JSON.stringify(rooms));
+    }
+
+    /**
+     * Submit a survey result for a room
+     * @param {Object} params - { roomId, userId, rating, comment?, nps? }
+     * @returns {Promise<Object>} - Submitted result
+     */
+    async submit({ roomId, userId, rating, comment = '', nps = null }) {
+        const result = {
+            room_id: roomId,
+            user_id: userId,
+            rating,
+            rating_scale: this.survey.scale,
+            rating_type: this.survey.ratingType,
+            comment,
+            nps,
+            submitted_at: new Date().toISOString()
+        };
+
+        await this.apiService.submitSurvey(result, this.survey.endpoint);
+        this.markSurveyed(roomId);
+
+        this.logger.log('[CsatService] Survey submitted for room:', roomId);
+        this.eventEmitter.emit('csat:submitted', result);
+        return result;
+    }
+
+    dismiss(roomId) {
+        this.markSurveyed(roomId);
+        this.eventEmitter.emit('csat:dismissed', { roomId });
+    }
+
+    getSurveyedRooms() {
+        try {
+            const stored = this.storageService.getItem('surveyedRooms');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            this.logger.error('[CsatService] Failed to read surveyed rooms:', error);
+            return [];
+        }
+    }
+}
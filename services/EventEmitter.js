@@ -38,4 +38,16 @@ class EventEmitter {
         };
         return this.on(event, onceWrapper);
     }
+
+    /**
+     * Remove all listeners for an event, or every listener when no event is given
+     * @param {string} [event] - Event name
+     */
+    removeAllListeners(event) {
+        if (event) {
+            delete this.events[event];
+        } else {
+            this.events = {};
+        }
+    }
 }
@@ -0,0 +1,88 @@
+/**
+ * GuestIdentityService - Anonymous visitor identity for pages without a logged-in user
+ * Generates a random visitor ID and a display name like "Guest 4821" once,
+ * persists them through StorageService and reuses them on every visit.
+ * Follows Single Responsibility Principle
+ */
+class GuestIdentityService {
+    /**
+     * @param {StorageService} storageService - Storage for the identity
+     * @param {Object} [options]
+     * @param {string|Function} [options.displayName='Guest {number}'] - Name template, or (number) => name
+     * @param {string} [options.idPrefix='guest-'] - Prefix of generated visitor IDs
+     */
+    constructor(storageService, options = {}) {
+        this.storageService = storageService;
+        this.options = {
+            displayName: 'Guest {number}',
+            idPrefix: 'guest-',
+            ...options
+        };
+    }
+
+    /**
+     * Stored identity, created and persisted on first use
+     * @returns {Object} - { userId, displayName, number }
+     */
+    getIdentity() {
+        const stored = this.load();
+        if (stored) return stored;
+
+        const number = Math.floor(1000 + Math.random() * 9000);
+        const identity = {
+            userId: `${this.options.idPrefix}${this.generateId()}`,
+            displayName: this.formatDisplayName(number),
+            number
+        };
+        this.storageService.setItem('guestIdentity', JSON.stringify(identity));
+        return identity;
+    }
+
+    /**
+     * User config for setUser() built from the guest identity
+     */
+    getUserConfig() {
+        const identity = this.getIdentity();
+        return {
+            userId: identity.userId,
+            displayName: identity.displayName,
+            extras: { is_guest: true },
+            userProperties: {}
+        };
+    }
+
+    hasIdentity() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Forget the identity; the next visit gets a new visitor ID
+     */
+    clear() {
+        this.storageService.removeItem('guestIdentity');
+    }
+
+    formatDisplayName(number) {
+        const { displayName } = this.options;
+        return typeof displayName === 'function'
+            ? displayName(number)
+            : String(displayName).replace('{number}', number);
+    }
+
+    generateId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 12)}`;
+    }
+
+    load() {
+        try {
+            const stored = this.storageService.getItem('guestIdentity');
+            const identity = stored ? JSON.parse(stored) : null;
+            return identity && identity.userId ? identity : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,309 @@
+/**
+ * I18nService - Message catalogs, locale-aware formatting and text direction
+ * Resolves UI strings for the active locale (bundled catalogs plus host overrides)
+ * and formats times, dates and numbers through Intl.
+ * Follows Single Responsibility Principle
+ */
+class I18nService {
+    static DEFAULT_LOCALE = 'en';
+
+    /**
+     * Languages written right-to-left; the widget mirrors its layout for them
+     */
+    static RTL_LANGUAGES = ['ar', 'he', 'iw', 'fa', 'ur', 'yi'];
+
+    /**
+     * Bundled catalogs. Plural strings use `.one` / `.other` sub-keys and are
+     * picked with Intl.PluralRules from the `count` parameter.
+     */
+    static CATALOGS = {
+        en: {
+            'header.title': 'Customer Service',
+            'header.avatar': 'Avatar',
+            'header.close': 'Close',
+            'header.typing': 'typing...',
+            'chat.button': 'Chat',
+            'chat.empty': 'Start a conversation',
+            'search.open': 'Search messages',
+            'search.placeholder': 'Search in conversation',
+            'search.next': 'Older match',
+            'search.previous': 'Newer match',
+            'search.close': 'Close search',
+            'search.count': '{index} of {total}',
+            'search.noResults': 'No results',
+            'header.menu': 'More options',
+            'transcript.download.text': 'Download transcript (.txt)',
+            'transcript.download.html': 'Download transcript (.html)',
+            'transcript.download.json': 'Download transcript (.json)',
+            'transcript.error': 'The transcript could not be downloaded. Please try again.',
+            'transcript.title': 'Conversation transcript',
+            'transcript.room': 'Conversation: {name}',
+            'transcript.exportedAt': 'Exported on {date}',
+            'transcript.attachment': 'Attachment: {name}',
+            'composer.placeholder': 'Type a message...',
+            'composer.attach': 'Attach file',
+            'composer.send': 'Send',
+            'composer.drop': 'Drop files to send',
+            'message.you': 'You',
+            'message.agent': 'Customer Service',
+            'message.deleted': 'This message was deleted',
+            'message.sending': 'Sending…',
+            'message.failed': 'Failed to send',
+            'message.sent': 'Sent',
+            'message.delivered': 'Delivered',
+            'message.read': 'Read',
+            'message.retry': 'Retry',
+            'message.delete': 'Delete',
+            'message.image': 'Image',
+            'message.file': 'File',
+            'message.fileAttachment': 'File attachment: {name}',
+            'message.videoUnsupported': 'Your browser does not support the video tag.',
+            'file.bytes': 'Bytes',
+            'upload.uploading': 'Uploading...',
+            'upload.processingFailed': '{name} could not be prepared for upload',
+            'upload.waiting': 'Waiting to upload...',
+            'upload.cancel': 'Cancel',
+            'attachment.missing': 'No file was selected',
+            'attachment.typeNotAllowed': '{name}: .{extension} files can\'t be sent',
+            'attachment.typeUnknown': '{name}: files without an extension can\'t be sent',
+            'attachment.tooLarge': '{name} is larger than the {limit} limit',
+            'attachment.contentMismatch': '{name} is not a valid .{extension} file',
+            'attachment.unreadable': '{name} could not be read',
+            'attachment.tooMany': 'You can send up to {max} files at once',
+            'outbox.waiting.one': '{count} message waiting to be sent',
+            'outbox.waiting.other': '{count} messages waiting to be sent',
+            'outbox.lost.one': '{count} file was lost on reload, attach it again',
+            'outbox.lost.other': '{count} files were lost on reload, attach them again',
+            'resolved.banner': 'This conversation has been resolved.',
+            'resolved.startNew': 'Start new conversation',
+            'guest.displayName': 'Guest {number}',
+            'preChat.title': 'Chat with us',
+            'preChat.description': 'Please fill in the form below to start chatting.',
+            'preChat.submit': 'Start chat',
+            'preChat.select': 'Select…',
+            'preChat.field.name': 'Name',
+            'preChat.field.email': 'Email',
+            'preChat.field.phone': 'Phone',
+            'preChat.error.required': 'This field is required',
+            'preChat.error.option': 'Please choose one of the options',
+            'preChat.error.minLength': 'Please enter at least {min} characters',
+            'preChat.error.maxLength': 'Please enter at most {max} characters',
+            'preChat.error.email': 'Please enter a valid email address',
+            'preChat.error.tel': 'Please enter a valid phone number',
+            'preChat.error.number': 'Please enter a number',
+            'preChat.error.invalid': 'Please enter a valid value',
+            'preChat.error.startFailed': 'We could not start the chat. Please try again.',
+            'csat.title': 'How was your conversation?',
+            'csat.commentPlaceholder': 'Tell us more (optional)',
+            'csat.npsQuestion': 'How likely are you to recommend us to a friend or colleague?',
+            'csat.submit': 'Send feedback',
+            'csat.skip': 'Skip',
+            'csat.thankYou': 'Thank you for your feedback!',
+            'csat.error.ratingRequired': 'Please choose a rating',
+            'csat.error.submitFailed': 'We could not send your feedback. Please try again.'
+        },
+        id: {
+            'header.title': 'Layanan Pelanggan',
+            'header.avatar': 'Avatar',
+            'header.close': 'Tutup',
+            'header.typing': 'sedang mengetik...',
+            'chat.button': 'Obrolan',
+            'chat.empty': 'Mulai percakapan',
+            'search.open': 'Cari pesan',
+            'search.placeholder': 'Cari dalam percakapan',
+            'search.next': 'Hasil lebih lama',
+            'search.previous': 'Hasil lebih baru',
+            'search.close': 'Tutup pencarian',
+            'search.count': '{index} dari {total}',
+            'search.noResults': 'Tidak ada hasil',
+            'header.menu': 'Opsi lainnya',
+            'transcript.download.text': 'Unduh transkrip (.txt)',
+            'transcript.download.html': 'Unduh transkrip (.html)',
+            'transcript.download.json': 'Unduh transkrip (.json)',
+            'transcript.error': 'Transkrip tidak dapat diunduh. Silakan coba lagi.',
+            'transcript.title': 'Transkrip percakapan',
+            'transcript.room': 'Percakapan: {name}',
+            'transcript.exportedAt': 'Diekspor pada {date}',
+            'transcript.attachment': 'Lampiran: {name}',
+            'composer.placeholder': 'Ketik pesan...',
+            'composer.attach': 'Lampirkan file',
+            'composer.send': 'Kirim',
+            'composer.drop': 'Lepaskan file untuk mengirim',
+            'message.you': 'Anda',
+            'message.agent': 'Layanan Pelanggan',
+            'message.deleted': 'Pesan ini telah dihapus',
+            'message.sending': 'Mengirim…',
+            'message.failed': 'Gagal mengirim',
+            'message.sent': 'Terkirim',
+            'message.delivered': 'Diterima',
+            'message.read': 'Dibaca',
+            'message.retry': 'Coba lagi',
+            'message.delete': 'Hapus',
+            'message.image': 'Gambar',
+            'message.file': 'File',
+            'message.fileAttachment': 'Lampiran file: {name}',
+            'message.videoUnsupported': 'Browser Anda tidak mendukung pemutaran video.',
+            'file.bytes': 'Byte',
+            'upload.uploading': 'Mengunggah...',
+            'upload.processingFailed': '{name} tidak dapat disiapkan untuk diunggah',
+            'upload.waiting': 'Menunggu unggahan...',
+            'upload.cancel': 'Batal',
+            'attachment.missing': 'Tidak ada file yang dipilih',
+            'attachment.typeNotAllowed': '{name}: file .{extension} tidak dapat dikirim',
+            'attachment.typeUnknown': '{name}: file tanpa ekstensi tidak dapat dikirim',
+            'attachment.tooLarge': '{name} melebihi batas {limit}',
+            'attachment.contentMismatch': '{name} bukan file .{extension} yang valid',
+            'attachment.unreadable': '{name} tidak dapat dibaca',
+            'attachment.tooMany': 'Anda dapat mengirim hingga {max} file sekaligus',
+            'outbox.waiting.other': '{count} pesan menunggu untuk dikirim',
+            'outbox.lost.other': '{count} file hilang saat halaman dimuat ulang, lampirkan lagi',
+            'resolved.banner': 'Percakapan ini telah diselesaikan.',
+            'resolved.startNew': 'Mulai percakapan baru',
+            'guest.displayName': 'Tamu {number}',
+            'preChat.title': 'Hubungi kami',
+            'preChat.description': 'Silakan isi formulir di bawah ini untuk mulai mengobrol.',
+            'preChat.submit': 'Mulai obrolan',
+            'preChat.select': 'Pilih…',
+            'preChat.field.name': 'Nama',
+            'preChat.field.email': 'Email',
+            'preChat.field.phone': 'Telepon',
+            'preChat.error.required': 'Kolom ini wajib diisi',
+            'preChat.error.option': 'Silakan pilih salah satu opsi',
+            'preChat.error.minLength': 'Masukkan minimal {min} karakter',
+            'preChat.error.maxLength': 'Masukkan maksimal {max} karakter',
+            'preChat.error.email': 'Masukkan alamat email yang valid',
+            'preChat.error.tel': 'Masukkan nomor telepon yang valid',
+            'preChat.error.number': 'Masukkan angka',
+            'preChat.error.invalid': 'Masukkan nilai yang valid',
+            'preChat.error.startFailed': 'Obrolan tidak dapat dimulai. Silakan coba lagi.',
+            'csat.title': 'Bagaimana percakapan Anda?',
+            'csat.commentPlaceholder': 'Ceritakan lebih lanjut (opsional)',
+            'csat.npsQuestion': 'Seberapa besar kemungkinan Anda merekomendasikan kami kepada teman atau kolega?',
+            'csat.submit': 'Kirim masukan',
+            'csat.skip': 'Lewati',
+            'csat.thankYou': 'Terima kasih atas masukan Anda!',
+            'csat.error.ratingRequired': 'Silakan pilih penilaian',
+            'csat.error.submitFailed': 'Masukan Anda tidak dapat dikirim. Silakan coba lagi.'
+        }
+    };
+
+    /**
+     * @param {string} [locale='en'] - BCP 47 tag such as 'id' or 'ar-SA'; 'auto' follows the browser
+     * @param {Object} [translations] - Host catalogs keyed by locale, e.g. { id: { 'header.title': 'Bantuan' } }
+     */
+    constructor(locale = I18nService.DEFAULT_LOCALE, translations = {}) {
+        this.translations = translations || {};
+        this.setLocale(locale);
+    }
+
+    /**
+     * Switch the active locale; unknown or invalid tags fall back to English strings
+     * @param {string} locale - BCP 47 tag or 'auto'
+     * @returns {string} - Resolved locale
+     */
+    setLocale(locale) {
+        this.locale = this.normalizeLocale(locale);
+        this.language = this.locale.split('-')[0].toLowerCase();
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.formatters = new Map();
+        return this.locale;
+    }
+
+    getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * Translate a key for the active locale
+     * Lookup order: full locale, language, English; overrides before bundled catalogs.
+     * @param {string} key - Catalog key, e.g. 'composer.placeholder'
+     * @param {Object} [params] - Values for `{name}` placeholders; `count` also selects the plural form
+     * @returns {string} - Translation, or the key itself when no catalog has it
+     */
+    t(key, params = {}) {
+        let message;
+        if (typeof params.count === 'number') {
+            message = this.lookup(`${key}.${this.pluralRules.select(params.count)}`)
+                ?? this.lookup(`${key}.other`);
+        }
+        message = message ?? this.lookup(key) ?? key;
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined ? String(params[name]) : placeholder
+        );
+    }
+
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    lookup(key) {
+        const locales = [this.locale, this.language, I18nService.DEFAULT_LOCALE];
+        for (const locale of locales) {
+            const override = this.translations[locale]?.[key];
+            if (override !== undefined) return override;
+            const bundled = I18nService.CATALOGS[locale]?.[key];
+            if (bundled !== undefined) return bundled;
+        }
+        return undefined;
+    }
+
+    // ==================== FORMATTING ====================
+
+    /**
+     * @param {Date|string|number} value - Date or anything Date accepts
+     * @returns {string} - e.g. '09:41' or '9:41 AM', depending on the locale
+     */
+    formatTime(value) {
+        return this.formatDateTime(value, { hour: '2-digit', minute: '2-digit' });
+    }
+
+    formatDate(value) {
+        return this.formatDateTime(value, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return '';
+        return this.getFormatter('date', options).format(date);
+    }
+
+    formatNumber(value, options = {}) {
+        return this.getFormatter('number', options).format(value);
+    }
+
+    getFormatter(type, options) {
+        const cacheKey = `${type}:${JSON.stringify(options)}`;
+        if (!this.formatters.has(cacheKey)) {
+            const Formatter = type === 'date' ? Intl.DateTimeFormat : Intl.NumberFormat;
+            this.formatters.set(cacheKey, new Formatter(this.locale, options));
+        }
+        return this.formatters.get(cacheKey);
+    }
+
+    // ==================== DIRECTION ====================
+
+    isRTL() {
+        return I18nService.RTL_LANGUAGES.includes(this.language);
+    }
+
+    /**
+     * @returns {string} - 'rtl' or 'ltr', for the `dir` attribute
+     */
+    getDirection() {
+        return this.isRTL() ? 'rtl' : 'ltr';
+    }
+
+    normalizeLocale(locale) {
+        const requested = !locale || locale === 'auto'
+            ? (typeof navigator !== 'undefined' && navigator.language) || I18nService.DEFAULT_LOCALE
+            : locale;
+
+        try {
+            return Intl.getCanonicalLocales(requested)[0] || I18nService.DEFAULT_LOCALE;
+        } catch (error) {
+            console.warn(`[I18nService] Invalid locale "${requested}", using ${I18nService.DEFAULT_LOCALE}`);
+            return I18nService.DEFAULT_LOCALE;
+        }
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * ImageProcessingService - Shrinks photos in the browser before they are uploaded
+ * Decodes with EXIF orientation applied, scales down to the configured maximum size and
+ * re-encodes as JPEG or WebP. Re-encoding through a canvas drops all metadata
+ * (EXIF, GPS location, camera details), so no original bytes are uploaded.
+ * Follows Single Responsibility Principle
+ */
+class ImageProcessingService {
+    /**
+     * Types that are decoded and re-encoded; GIF (animation) and SVG (vector) are uploaded as they are
+     */
+    static PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/bmp'];
+
+    static OUTPUT_TYPES = {
+        'image/jpeg': 'jpg',
+        'image/webp': 'webp'
+    };
+
+    static DEFAULTS = {
+        maxWidth: 2048,
+        maxHeight: 2048,
+        mimeType: 'image/jpeg',
+        quality: 0.85,
+        fallbackToOriginal: false
+    };
+
+    /**
+     * @param {Object} [options] - `imageProcessing` widget option
+     * @param {number} [options.maxWidth=2048] - Longest allowed width in px
+     * @param {number} [options.maxHeight=2048] - Longest allowed height in px
+     * @param {string} [options.mimeType='image/jpeg'] - Output type, 'image/jpeg' or 'image/webp'
+     * @param {number} [options.quality=0.85] - Encoder quality between 0 and 1
+     * @param {boolean} [options.fallbackToOriginal=false] - Upload the original, metadata included, when an image can't be processed
+     */
+    constructor(options = {}) {
+        this.options = this.normalize(options);
+    }
+
+    normalize(options) {
+        const normalized = { ...ImageProcessingService.DEFAULTS, ...options };
+        if (!ImageProcessingService.OUTPUT_TYPES[normalized.mimeType]) {
+            throw new Error(`Unsupported image output type "${normalized.mimeType}"`);
+        }
+        normalized.quality = Math.min(1, Math.max(0, Number(normalized.quality)));
+        return normalized;
+    }
+
+    /**
+     * Whether a file is an image this browser can process
+     */
+    canProcess(file) {
+        return !!file
+            && ImageProcessingService.PROCESSABLE_TYPES.includes(file.type)
+            && this.isSupported();
+    }
+
+    isSupported() {
+        return typeof OffscreenCanvas === 'function'
+            || (typeof document !== 'undefined' && typeof document.createElement('canvas').getContext === 'function');
+    }
+
+    /**
+     * @param {File} file - Image to process
+     * @returns {Promise<File>} - Re-encoded image, renamed to the output type's extension
+     */
+    async process(file) {
+        const decoded = await this.decode(file);
+        try {
+            const { width, height } = this.getTargetSize(decoded.width, decoded.height);
+            const canvas = this.createCanvas(width, height);
+            const context = canvas.getContext('2d');
+
+            let { mimeType } = this.options;
+            if (mimeType === 'image/jpeg') {
+                // JPEG has no transparency; keep transparent PNG areas white instead of black
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, width, height);
+            }
+            context.drawImage(decoded.image, 0, 0, width, height);
+
+            let blob = await this.encode(canvas, mimeType);
+            if (blob.type !== mimeType) {
+                // Browsers without a WebP encoder return PNG instead
+                mimeType = 'image/jpeg';
+                blob = await this.encode(canvas, mimeType);
+            }
+
+            return new File([blob], this.renameFile(file.name, mimeType), {
+                type: mimeType,
+                lastModified: file.lastModified
+            });
+        } finally {
+            decoded.release();
+        }
+    }
+
+    /**
+     * Decode with the EXIF orientation applied, so rotated phone photos stay upright
+     * @returns {Promise<Object>} - { image, width, height, release }
+     */
+    async decode(file) {
+        if (typeof createImageBitmap === 'function') {
+            try {
+                const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+                return { image: bitmap, width: bitmap.width, height: bitmap.height, release: () => bitmap.close() };
+            } catch (error) {
+                // Older engines reject the imageOrientation option; <img> applies orientation by default
+            }
+        }
+
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.src = url;
+        try {
+            await image.decode();
+        } catch (error) {
+            URL.revokeObjectURL(url);
+            throw error;
+        }
+        return { image, width: image.naturalWidth, height: image.naturalHeight, release: () => URL.revokeObjectURL(url) };
+    }
+
+    /**
+     * Scale down to fit the maximum size, keeping the aspect ratio; images are never enlarged
+     */
+    getTargetSize(width, height) {
+        const { maxWidth, maxHeight } = this.options;
+        const scale = Math.min(1, maxWidth / width, maxHeight / height);
+        return {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale))
+        };
+    }
+
+    createCanvas(width, height) {
+        if (typeof OffscreenCanvas === 'function') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    encode(canvas, mimeType) {
+        const { quality } = this.options;
+        if (typeof canvas.convertToBlob === 'function') {
+            return canvas.convertToBlob({ type: mimeType, quality });
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Image encoding failed'));
+                }
+            }, mimeType, quality);
+        });
+    }
+
+    /**
+     * @returns {string} - e.g. 'IMG_0042.png' → 'IMG_0042.jpg'
+     */
+    renameFile(name, mimeType) {
+        const base = (name || 'image').replace(/\.[^./]+$/, '');
+        return `${base}.${ImageProcessingService.OUTPUT_TYPES[mimeType]}`;
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * InMemoryMultichannelAPI - Offline stand-in for APIService
+ * Answers the Multichannel and Qismo endpoints from an InMemorySDKAdapter,
+ * so the initiate → send → receive flow runs without network.
+ * Follows Liskov Substitution Principle (drop-in replacement for APIService)
+ */
+class InMemoryMultichannelAPI {
+    /**
+     * @param {InMemorySDKAdapter} sdkAdapter - Adapter that holds users and rooms
+     * @param {Object} [options]
+     * @param {boolean} [options.isSessional=false] - Value returned by getSessionStatus()
+     */
+    constructor(sdkAdapter, options = {}) {
+        this.sdkAdapter = sdkAdapter;
+        this.options = { isSessional: false, ...options };
+        this.surveys = [];
+    }
+
+    /**
+     * Initiate Chat - Same contract as APIService.initiateChat()
+     * @param {Object} params - Chat initiation parameters
+     * @returns {Promise<Object>} Response with identity_token and customer_room
+     */
+    async initiateChat(params) {
+        if (!params.app_id || !params.user_id || !params.nonce) {
+            throw new Error('Failed to initiate chat');
+        }
+
+        const identityToken = this.sdkAdapter.issueIdentityToken(params);
+        const room = this.sdkAdapter.findOrCreateRoom(params.user_id);
+
+        return {
+            data: {
+                identity_token: identityToken,
+                customer_room: {
+                    room_id: String(room.id),
+                    room_name: room.name,
+                    avatar_url: room.avatarUrl,
+                    is_resolved: room.options.is_resolved
+                }
+            }
+        };
+    }
+
+    /**
+     * Get session status - Same contract as APIService.getSessionStatus()
+     * @returns {Promise<Object>} Response with is_sessional boolean
+     */
+    async getSessionStatus() {
+        return { data: { is_sessional: this.options.isSessional } };
+    }
+
+    /**
+     * Submit survey - Same contract as APIService.submitSurvey(); results are kept in `surveys`
+     */
+    async submitSurvey(result, endpoint = null) {
+        this.surveys.push({ ...result, endpoint });
+        return { data: { ...result } };
+    }
+
+    decodeJWT(token) {
+        return this.sdkAdapter.decodeToken(token);
+    }
+}
@@ -0,0 +1,341 @@
+/**
+ * InMemorySDKAdapter - Offline stand-in for QiscusSDKCore
+ * Implements the SDK operations used by SDKService and ChatService without any network,
+ * so the widget can run in CI or demos. Pair it with InMemoryMultichannelAPI.
+ * Follows Liskov Substitution Principle (drop-in replacement for the SDK instance)
+ *
+ * @example
+ * const sdkAdapter = new InMemorySDKAdapter();
+ * const widget = new QiscusMultichannelWidget({
+ *     appId: 'demo',
+ *     sdkAdapter,
+ *     apiAdapter: new InMemoryMultichannelAPI(sdkAdapter)
+ * });
+ * sdkAdapter.simulateAgentMessage(roomId, 'Hi, how can I help?');
+ */
+class InMemorySDKAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.uploadDelay=0] - Simulated upload time in ms
+     */
+    constructor(options = {}) {
+        this.options = { uploadDelay: 0, ...options };
+        this.AppId = null;
+        this.callbacks = {};
+        this.debugMode = false;
+        this.userData = null;
+        this.token = null;
+        this.isLogin = false;
+        this.HTTPAdapter = { token: null };
+        this.realtimeAdapter = {
+            connected: true,
+            disconnect: () => {
+                this.realtimeAdapter.connected = false;
+            }
+        };
+        this.customerTyping = null;
+
+        this.rooms = new Map();
+        this.users = new Map();
+        this.nextRoomId = 1;
+        this.nextCommentId = 1;
+        this.objectURLs = [];
+    }
+
+    // ==================== SDK OPERATIONS ====================
+
+    async init({ AppId, options = {} }) {
+        this.AppId = AppId;
+        this.callbacks = options;
+    }
+
+    async getNonce() {
+        return { nonce: this.generateId('nonce') };
+    }
+
+    async verifyIdentityToken(identityToken) {
+        const payload = this.decodeToken(identityToken);
+        const user = this.users.get(payload.user_id);
+        if (!user) throw new Error('Invalid identity token');
+        return { user: { ...user } };
+    }
+
+    async setUserWithIdentityToken(userData) {
+        this.userData = userData.user;
+        this.token = userData.user.token;
+        this.HTTPAdapter.token = userData.user.token;
+        this.isLogin = true;
+        this.emit('loginSuccessCallback', userData);
+        return userData.user;
+    }
+
+    async getRoomById(roomId) {
+        const room = this.getStoredRoom(roomId);
+        const comments = room.comments.slice(-20);
+        return {
+            id: room.id,
+            name: room.name,
+            avatarUrl: room.avatarUrl,
+            options: JSON.stringify(room.options),
+            participants: room.participants.map(participant => ({ ...participant })),
+            last_comment_id: room.comments.length ? room.comments[room.comments.length - 1].id : 0,
+            comments: comments.map(comment => ({ ...comment }))
+        };
+    }
+
+    async loadMore(lastCommentId, { limit = 20 } = {}) {
+        // Like the real SDK, load from the room that holds the given comment
+        const room = [...this.rooms.values()]
+            .find(storedRoom => storedRoom.comments.some(comment => comment.id === lastCommentId));
+        if (!room) return [];
+
+        const comments = room.comments.filter(comment => comment.id < lastCommentId);
+        return comments.slice(-limit).map(comment => ({ ...comment }));
+    }
+
+    async sendComment(roomId, text, uniqueId, type = 'text', payload = null, extras = {}) {
+        if (!this.isLogin) throw new Error('User not logged in');
+
+        const room = this.getStoredRoom(roomId);
+        const comment = this.createComment(room, this.userData, {
+            message: text,
+            uniqueId,
+            type,
+            payload,
+            extras
+        });
+        room.comments.push(comment);
+        return { ...comment };
+    }
+
+    generateFileAttachmentMessage({ roomId, text, url, filename, size = 0, caption = '', extras = {} }) {
+        return {
+            room_id: roomId,
+            message: text,
+            unique_id: this.generateId('file'),
+            type: 'file_attachment',
+            payload: { url, file_name: filename, size, caption },
+            extras
+        };
+    }
+
+    upload(file, callback, { signal = null } = {}) {
+        let timer = setTimeout(() => {
+            callback(null, { percent: 50 });
+            timer = setTimeout(() => {
+                const url = this.createFileURL(file);
+                callback(null, { percent: 100 });
+                callback(null, null, url);
+            }, this.options.uploadDelay / 2);
+        }, this.options.uploadDelay / 2);
+
+        signal?.addEventListener('abort', () => clearTimeout(timer), { once: true });
+    }
+
+    /**
+     * Release the object URLs handed out by upload(); call once the adapter is no longer used
+     */
+    dispose() {
+        this.objectURLs.forEach(url => URL.revokeObjectURL(url));
+        this.objectURLs = [];
+    }
+
+    publishTyping(status, roomId) {
+        this.customerTyping = { roomId, typing: status === 1 };
+    }
+
+    // ==================== BACKEND HELPERS (used by InMemoryMultichannelAPI) ====================
+
+    /**
+     * Register a customer and issue an identity token for it
+     * @param {Object} params - { user_id, name, avatar, sdk_user_extras }
+     * @returns {string} - Identity token (JWT shaped)
+     */
+    issueIdentityToken({ user_id, name, avatar, sdk_user_extras = {} }) {
+        const user = {
+            id: user_id,
+            email: user_id,
+            username: name,
+            avatar_url: avatar || '',
+            extras: { ...sdk_user_extras, is_customer: true },
+            token: this.generateId('token')
+        };
+        this.users.set(user_id, user);
+        return this.encodeToken({ user_id, nonce: this.generateId('nonce') });
+    }
+
+    /**
+     * Find the open room of a customer or create a new one with an agent
+     * @param {string} userId - Customer user ID
+     * @param {Object} [options] - { forceNew: boolean }
+     * @returns {Object} - Stored room
+     */
+    findOrCreateRoom(userId, { forceNew = false } = {}) {
+        if (!forceNew) {
+            for (const room of this.rooms.values()) {
+                if (room.customerId === userId && !room.options.is_resolved) return room;
+            }
+        }
+
+        const customer = this.users.get(userId);
+        const room = {
+            id: this.nextRoomId++,
+            name: 'Customer Service',
+            avatarUrl: '',
+            customerId: userId,
+            options: { is_resolved: false },
+            participants: [
+                { id: customer.id, name: customer.username, avatarUrl: customer.avatar_url, extras: customer.extras },
+                { id: 'agent', name: 'Agent', avatarUrl: '', extras: { type: 'agent' } }
+            ],
+            comments: []
+        };
+        this.rooms.set(room.id, room);
+        return room;
+    }
+
+    // ==================== SIMULATION HELPERS ====================
+
+    /**
+     * Deliver a message from the agent through the realtime callback
+     * @param {number} roomId - Room ID
+     * @param {string} text - Message text
+     * @param {Object} [options] - { type, payload, extras }
+     * @returns {Object} - Delivered comment
+     */
+    simulateAgentMessage(roomId, text, { type = 'text', payload = null, extras = {} } = {}) {
+        const room = this.getStoredRoom(roomId);
+        const agent = room.participants.find(participant => participant.extras?.type === 'agent');
+        const comment = this.createComment(room, {
+            id: agent.id,
+            email: agent.id,
+            username: agent.name,
+            avatar_url: agent.avatarUrl,
+            extras: agent.extras
+        }, { message: text, type, payload, extras });
+        room.comments.push(comment);
+        this.emit('newMessagesCallback', [{ ...comment }]);
+        return comment;
+    }
+
+    /**
+     * Notify the agent typing status through the realtime callback
+     */
+    simulateTyping(roomId, isTyping = true) {
+        this.emit('typingCallback', { message: isTyping ? '1' : '0', username: 'agent', room_id: roomId, typing: isTyping });
+    }
+
+    /**
+     * Report that the agent received or read everything up to the latest comment
+     * @param {number} roomId - Room ID
+     * @param {string} [status='read'] - 'delivered' or 'read'
+     */
+    simulateReceipt(roomId, status = 'read') {
+        const room = this.getStoredRoom(roomId);
+        const comment = room.comments[room.comments.length - 1];
+        if (!comment) return;
+
+        const callbackName = status === 'delivered' ? 'commentDeliveredCallback' : 'commentReadCallback';
+        this.emit(callbackName, { actor: 'agent', comment: { ...comment } });
+    }
+
+    /**
+     * Delete a comment and notify the widget, as when an agent deletes a message
+     */
+    simulateCommentDeleted(roomId, uniqueId) {
+        const room = this.getStoredRoom(roomId);
+        room.comments = room.comments.filter(comment => comment.unique_id !== uniqueId);
+        this.emit('commentDeletedCallback', { roomId: room.id, commentUniqueIds: [uniqueId], isForEveryone: true, isHard: true });
+    }
+
+    /**
+     * Remove every comment of a room and notify the widget
+     */
+    simulateRoomCleared(roomId) {
+        const room = this.getStoredRoom(roomId);
+        room.comments = [];
+        this.emit('roomClearedCallback', { room_id: room.id });
+    }
+
+    /**
+     * Mark a room resolved and notify the widget, as when an agent resolves the conversation
+     */
+    simulateRoomResolved(roomId) {
+        const room = this.getStoredRoom(roomId);
+        room.options = { ...room.options, is_resolved: true };
+        this.emit('roomChangedCallback', {
+            id: room.id,
+            name: room.name,
+            avatarUrl: room.avatarUrl,
+            options: JSON.stringify(room.options)
+        });
+    }
+
+    // ==================== INTERNALS ====================
+
+    getStoredRoom(roomId) {
+        const room = this.rooms.get(Number(roomId));
+        if (!room) throw new Error(`Room ${roomId} not found`);
+        return room;
+    }
+
+    createComment(room, sender, { message, uniqueId, type = 'text', payload = null, extras = {} }) {
+        const now = new Date();
+        const previous = room.comments[room.comments.length - 1];
+        const uniqueTempId = uniqueId || this.generateId('comment');
+        return {
+            id: this.nextCommentId++,
+            comment_before_id: previous ? previous.id : 0,
+            room_id: room.id,
+            unique_temp_id: uniqueTempId,
+            unique_id: uniqueTempId,
+            message,
+            type,
+            payload,
+            extras,
+            email: sender.email,
+            username: sender.username,
+            user_avatar_url: sender.avatar_url,
+            user_extras: sender.extras || {},
+            status: 'sent',
+            timestamp: now.toISOString(),
+            unix_timestamp: Math.floor(now.getTime() / 1000)
+        };
+    }
+
+    /**
+     * Uploaded files are served from object URLs, kept until dispose() like files on a CDN
+     */
+    createFileURL(file) {
+        if (typeof URL === 'undefined' || !URL.createObjectURL) {
+            return `memory://uploads/${encodeURIComponent(file.name)}`;
+        }
+        const url = URL.createObjectURL(file);
+        this.objectURLs.push(url);
+        return url;
+    }
+
+    emit(callbackName, ...args) {
+        const callback = this.callbacks[callbackName];
+        if (typeof callback === 'function') {
+            setTimeout(() => callback(...args), 0);
+        }
+    }
+
+    generateId(prefix) {
+        return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    encodeToken(payload) {
+        const encode = (value) => btoa(JSON.stringify(value));
+        return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.memory`;
+    }
+
+    decodeToken(token) {
+        try {
+            return JSON.parse(atob(token.split('.')[1]));
+        } catch (error) {
+            throw new Error('Invalid identity token');
+        }
+    }
+}
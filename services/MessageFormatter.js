@@ -0,0 +1,252 @@
+/**
+ * MessageFormatter - Turns message text into safe HTML
+ * Auto-links URLs, emails and phone numbers, keeps line breaks and supports a small
+ * Markdown subset: *bold*, **bold**, _italic_, ~strike~, `code`, ```code blocks``` and [label](url).
+ * Every piece of text is escaped and only the tags built here are emitted, so message
+ * content can never inject markup.
+ * Follows Single Responsibility Principle
+ */
+class MessageFormatter {
+    /**
+     * rel of generated links; they open in a new tab without access to the widget's window
+     */
+    static LINK_REL = 'noopener noreferrer nofollow';
+
+    static EMPHASIS = {
+        '**': 'strong',
+        '*': 'strong',
+        '_': 'em',
+        '~': 's'
+    };
+
+    static PATTERNS = {
+        codeBlock: /```\n?([\s\S]*?)```/g,
+        inlineCode: /`([^`\n]+)`/y,
+        markdownLink: /\[([^\]\n]+)\]\(([^)\s]+)\)/y,
+        url: /(?:https?:\/\/|www\.)[^\s<>"]+/iy,
+        email: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/iy,
+        phone: /(?:\+\d{1,3}[\s-]?|0)\d{2,4}(?:[\s-]?\d{2,4}){1,4}/y
+    };
+
+    static PHONE_DIGITS = { min: 8, max: 15 };
+
+    /**
+     * @param {string} text - Raw message text
+     * @returns {string} - Safe HTML
+     */
+    format(text) {
+        if (text == null || text === '') return '';
+        const source = String(text).replace(/\r\n?/g, '\n');
+
+        // Code blocks are taken out first so nothing inside them is formatted
+        let html = '';
+        let lastIndex = 0;
+        const codeBlock = new RegExp(MessageFormatter.PATTERNS.codeBlock.source, 'g');
+        let match;
+        while ((match = codeBlock.exec(source)) !== null) {
+            html += this.formatInline(source.slice(lastIndex, match.index));
+            html += `<pre><code>${this.escape(match[1].replace(/\n$/, ''))}</code></pre>`;
+            lastIndex = match.index + match[0].length;
+        }
+        html += this.formatInline(source.slice(lastIndex));
+        return html;
+    }
+
+    /**
+     * Format text outside code blocks
+     * @param {string} text - Raw text
+     * @param {boolean} [allowLinks=true] - Off inside link labels, so links never nest
+     * @returns {string} - Safe HTML
+     */
+    formatInline(text, allowLinks = true) {
+        const markers = this.scanMarkers(text);
+        let html = '';
+        let plain = '';
+        let index = 0;
+
+        while (index < text.length) {
+            const token = this.readToken(text, index, allowLinks, markers);
+            if (token) {
+                html += this.formatPlain(plain) + token.html;
+                plain = '';
+                index = token.end;
+            } else {
+                plain += text[index];
+                index++;
+            }
+        }
+        return html + this.formatPlain(plain);
+    }
+
+    /**
+     * Read a formatted token starting exactly at `index`
+     * @param {Object} markers - Result of scanMarkers() for the same text
+     * @returns {Object|null} - { html, end }
+     */
+    readToken(text, index, allowLinks, markers) {
+        const char = text[index];
+        const previous = index > 0 ? text[index - 1] : '';
+        const { PATTERNS } = MessageFormatter;
+
+        if (char === '`') {
+            const match = this.matchAt(PATTERNS.inlineCode, text, index);
+            if (match) return { html: `<code>${this.escape(match[1])}</code>`, end: index + match[0].length };
+        }
+
+        if (allowLinks && char === '[') {
+            const match = this.matchAt(PATTERNS.markdownLink, text, index);
+            const href = match && this.sanitizeURL(match[2]);
+            if (href) return { html: this.link(href, this.formatInline(match[1], false)), end: index + match[0].length };
+        }
+
+        // Links and emphasis only start at a word boundary (e.g. not inside snake_case_names)
+        if (/[\p{L}\p{N}]/u.test(previous)) return null;
+
+        if (allowLinks) {
+            const link = this.readLink(text, index);
+            if (link) return link;
+        }
+
+        return this.readEmphasis(text, index, allowLinks, markers);
+    }
+
+    readLink(text, index) {
+        const { PATTERNS, PHONE_DIGITS } = MessageFormatter;
+
+        let match = this.matchAt(PATTERNS.url, text, index);
+        if (match) {
+            const raw = this.trimURL(match[0]);
+            const href = this.sanitizeURL(/^www\./i.test(raw) ? `https://${raw}` : raw);
+            if (href) return { html: this.link(href, this.escape(raw)), end: index + raw.length };
+        }
+
+        match = this.matchAt(PATTERNS.email, text, index);
+        if (match && !/[\p{L}\p{N}]/u.test(text[index + match[0].length] || '')) {
+            return { html: this.link(`mailto:${match[0]}`, this.escape(match[0]), false), end: index + match[0].length };
+        }
+
+        match = this.matchAt(PATTERNS.phone, text, index);
+        if (match && !/[\p{L}\p{N}]/u.test(text[index + match[0].length] || '')) {
+            const digits = match[0].replace(/\D/g, '');
+            if (digits.length >= PHONE_DIGITS.min && digits.length <= PHONE_DIGITS.max) {
+                const href = `tel:${match[0].startsWith('+') ? '+' : ''}${digits}`;
+                return { html: this.link(href, this.escape(match[0]), false), end: index + match[0].length };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * *bold*, **bold**, _italic_ and ~strike~; the closing marker must end a word
+     */
+    readEmphasis(text, index, allowLinks, markers) {
+        const marker = text.startsWith('**', index) ? '**' : text[index];
+        const tag = MessageFormatter.EMPHASIS[marker];
+        if (!tag) return null;
+
+        const start = index + marker.length;
+        if (!text[start] || /\s/.test(text[start])) return null;
+
+        // Emphasis never spans lines
+        const close = this.findNext(markers.closers[marker], start + 1);
+        const lineBreak = this.findNext(markers.lineBreaks, start);
+        if (close === -1 || (lineBreak !== -1 && lineBreak < close)) return null;
+
+        return {
+            html: `<${tag}>${this.formatInline(text.slice(start, close), allowLinks)}</${tag}>`,
+            end: close + marker.length
+        };
+    }
+
+    /**
+     * Find every place an emphasis marker can close (after a non-space, not followed by a letter
+     * or digit) and every line break in one pass, so an unmatched opener never rescans the text
+     * @returns {Object} - { closers: sorted positions by marker, lineBreaks: sorted positions }
+     */
+    scanMarkers(text) {
+        const markers = Object.keys(MessageFormatter.EMPHASIS);
+        const closers = Object.fromEntries(markers.map(marker => [marker, []]));
+        const lineBreaks = [];
+
+        for (let index = 0; index < text.length; index++) {
+            if (text[index] === '\n') {
+                lineBreaks.push(index);
+                continue;
+            }
+            if (index === 0 || /\s/.test(text[index - 1])) continue;
+
+            markers.forEach(marker => {
+                if (text.startsWith(marker, index) && !/[\p{L}\p{N}]/u.test(text[index + marker.length] || '')) {
+                    closers[marker].push(index);
+                }
+            });
+        }
+        return { closers, lineBreaks };
+    }
+
+    /**
+     * @returns {number} - First position in a sorted list that is at or after `from`, or -1
+     */
+    findNext(positions, from) {
+        let low = 0;
+        let high = positions.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (positions[middle] < from) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low < positions.length ? positions[low] : -1;
+    }
+
+    formatPlain(text) {
+        return this.escape(text).replace(/\n/g, '<br>');
+    }
+
+    /**
+     * @param {boolean} [newTab=true] - Web links open in a new tab; mailto: and tel: hand off to an app instead
+     */
+    link(href, labelHTML, newTab = true) {
+        const target = newTab ? ` target="_blank" rel="${MessageFormatter.LINK_REL}"` : '';
+        return `<a href="${this.escape(href)}"${target}>${labelHTML}</a>`;
+    }
+
+    /**
+     * Drop trailing punctuation that belongs to the sentence, keeping balanced parentheses
+     */
+    trimURL(url) {
+        let trimmed = url.replace(/[.,;:!?'"*_~]+$/, '');
+        while (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+            trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"*_~]+$/, '');
+        }
+        return trimmed;
+    }
+
+    /**
+     * Only absolute http(s) URLs are linked; anything else (e.g. javascript:) stays text
+     */
+    sanitizeURL(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    matchAt(pattern, text, index) {
+        pattern.lastIndex = index;
+        return pattern.exec(text);
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
@@ -0,0 +1,340 @@
+/**
+ * MessageListView - Keeps the message list DOM in sync with state incrementally
+ * Messages are appended, prepended or patched in place instead of rebuilding the list,
+ * and only the bubbles around the viewport are kept in the DOM; spacers stand in
+ * for the rest so the scrollbar still reflects the whole conversation.
+ * Follows Single Responsibility Principle
+ */
+class MessageListView {
+    /**
+     * Height in px assumed for a message that has not been measured yet
+     */
+    static ESTIMATED_ITEM_HEIGHT = 72;
+
+    /**
+     * Extra height in px rendered above and below the viewport
+     */
+    static OVERSCAN = 600;
+
+    /**
+     * Distance in px from the bottom within which the list keeps following new messages
+     */
+    static BOTTOM_STICK_THRESHOLD = 40;
+
+    /**
+     * @param {HTMLElement} container - Scrollable message list element
+     * @param {Object} options
+     * @param {Function} options.renderItem - (message) => HTML of one message with a single root element
+     * @param {Function} options.getKey - (message) => key that stays the same while a message is updated
+     * @param {string} [options.emptyHTML] - Markup shown when there are no messages
+     */
+    constructor(container, { renderItem, getKey, emptyHTML = '' }) {
+        this.container = container;
+        this.renderItem = renderItem;
+        this.getKey = (message) => String(getKey(message));
+        this.items = [];
+        this.indexByKey = new Map();
+        this.nodes = new Map();
+        this.heights = new Map();
+        this.range = { start: 0, end: 0 };
+        this.scrollFrame = null;
+
+        this.emptyState = this.createElement(emptyHTML) || document.createElement('div');
+        this.topSpacer = document.createElement('div');
+        this.list = document.createElement('div');
+        this.list.className = 'qiscus-message-list';
+        this.bottomSpacer = document.createElement('div');
+
+        this.container.innerHTML = '';
+        this.container.append(this.emptyState, this.topSpacer, this.list, this.bottomSpacer);
+    }
+
+    // ==================== LIST OPERATIONS ====================
+
+    /**
+     * Replace every message and follow the bottom of the list
+     */
+    reset(messages) {
+        this.items = [...messages];
+        this.reindex();
+        this.nodes.forEach(node => node.remove());
+        this.nodes.clear();
+        this.render(null);
+    }
+
+    append(message) {
+        const anchor = this.captureAnchor();
+        this.items.push(message);
+        this.indexByKey.set(this.getKey(message), this.items.length - 1);
+        this.render(anchor);
+    }
+
+    /**
+     * Add older messages on top while the message being read stays in place
+     */
+    prepend(messages) {
+        if (messages.length === 0) return;
+
+        const anchor = this.captureAnchor();
+        this.items = [...messages, ...this.items];
+        this.reindex();
+        this.render(anchor);
+    }
+
+    /**
+     * Patch the node of an updated message, keeping unchanged parts (e.g. media) untouched
+     */
+    update(message) {
+        const key = this.getKey(message);
+        const index = this.indexByKey.get(key);
+        if (index === undefined) return;
+
+        const anchor = this.captureAnchor();
+        this.items[index] = message;
+
+        const node = this.nodes.get(key);
+        if (node) {
+            this.patchNode(node, this.createElement(this.renderItem(message)));
+        }
+        this.render(anchor);
+    }
+
+    remove(message) {
+        const key = this.getKey(message);
+        if (!this.indexByKey.has(key)) return;
+
+        const anchor = this.captureAnchor();
+        this.items.splice(this.indexByKey.get(key), 1);
+        this.reindex();
+        this.nodes.get(key)?.remove();
+        this.nodes.delete(key);
+        this.heights.delete(key);
+        this.render(anchor);
+    }
+
+    scrollToBottom() {
+        this.render(null);
+    }
+
+    /**
+     * Scroll a message to the middle of the viewport, rendering it first if it is outside the window
+     */
+    scrollToItem(key) {
+        key = String(key);
+        if (!this.indexByKey.has(key)) return;
+
+        const height = this.heights.get(key) ?? MessageListView.ESTIMATED_ITEM_HEIGHT;
+        const offset = Math.max(0, (this.container.clientHeight - height) / 2);
+        this.render({ key, offset, scrollTop: this.container.scrollTop });
+    }
+
+    /**
+     * Render the messages in the window again, e.g. after something that affects every message changed
+     */
+    redraw() {
+        this.nodes.forEach((node, key) => {
+            this.patchNode(node, this.createElement(this.renderItem(this.getItem(key))));
+        });
+        this.refresh();
+    }
+
+    /**
+     * Message currently shown under a key, e.g. to resolve a click inside its node
+     */
+    getItem(key) {
+        const index = this.indexByKey.get(String(key));
+        return index === undefined ? null : this.items[index];
+    }
+
+    /**
+     * Re-window after scrolling, at most once per animation frame
+     */
+    handleScroll() {
+        if (this.scrollFrame) return;
+
+        const schedule = window.requestAnimationFrame || ((callback) => setTimeout(callback, 16));
+        this.scrollFrame = schedule(() => {
+            this.scrollFrame = null;
+            this.render(this.captureAnchor());
+        });
+    }
+
+    /**
+     * Re-measure rendered messages, e.g. after an image finished loading
+     */
+    refresh() {
+        this.render(this.captureAnchor());
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Render the window of messages around the anchor and restore the anchor position
+     * @param {Object|null} anchor - From captureAnchor(); null keeps the list at the bottom
+     */
+    render(anchor) {
+        this.emptyState.style.display = this.items.length === 0 ? '' : 'none';
+
+        const viewportHeight = this.container.clientHeight;
+        const offsets = this.computeOffsets();
+        const totalHeight = offsets[this.items.length];
+
+        let targetTop;
+        if (!anchor) {
+            targetTop = totalHeight - viewportHeight;
+        } else if (this.indexByKey.has(anchor.key)) {
+            targetTop = offsets[this.indexByKey.get(anchor.key)] - anchor.offset;
+        } else {
+            targetTop = anchor.scrollTop;
+        }
+        targetTop = Math.max(0, targetTop);
+
+        const { start, end } = this.getRange(offsets, targetTop, viewportHeight);
+        this.syncNodes(start, end);
+        this.measure();
+
+        const measuredOffsets = this.computeOffsets();
+        this.topSpacer.style.height = `${measuredOffsets[start]}px`;
+        this.bottomSpacer.style.height = `${measuredOffsets[this.items.length] - measuredOffsets[end]}px`;
+
+        this.restoreAnchor(anchor);
+    }
+
+    computeOffsets() {
+        const offsets = [0];
+        this.items.forEach((message, index) => {
+            const height = this.heights.get(this.getKey(message)) ?? MessageListView.ESTIMATED_ITEM_HEIGHT;
+            offsets.push(offsets[index] + height);
+        });
+        return offsets;
+    }
+
+    getRange(offsets, scrollTop, viewportHeight) {
+        const count = this.items.length;
+        const top = scrollTop - MessageListView.OVERSCAN;
+        const bottom = scrollTop + viewportHeight + MessageListView.OVERSCAN;
+
+        let start = 0;
+        while (start < count && offsets[start + 1] <= top) start++;
+
+        let end = start;
+        while (end < count && offsets[end] < bottom) end++;
+
+        return { start, end };
+    }
+
+    /**
+     * Add the nodes entering the window and drop the ones leaving it, reusing cached nodes
+     */
+    syncNodes(start, end) {
+        this.nodes.forEach((node, key) => {
+            const index = this.indexByKey.get(key);
+            if (index === undefined || index < start || index >= end) {
+                node.remove();
+                this.nodes.delete(key);
+            }
+        });
+
+        let previous = null;
+        for (let index = start; index < end; index++) {
+            const message = this.items[index];
+            const key = this.getKey(message);
+
+            let node = this.nodes.get(key);
+            if (!node) {
+                node = this.createElement(this.renderItem(message));
+                this.nodes.set(key, node);
+            }
+
+            const expected = previous ? previous.nextSibling : this.list.firstChild;
+            if (node !== expected) {
+                this.list.insertBefore(node, expected);
+            }
+            previous = node;
+        }
+
+        this.range = { start, end };
+    }
+
+    measure() {
+        // A hidden list has no layout; keep the previous measurements
+        if (this.container.clientHeight === 0) return;
+
+        this.nodes.forEach((node, key) => {
+            this.heights.set(key, node.offsetHeight);
+        });
+    }
+
+    /**
+     * Remember the first visible message so it can be kept in place across changes
+     * @returns {Object|null} - { key, offset, scrollTop } or null when the list follows the bottom
+     */
+    captureAnchor() {
+        const { scrollTop, scrollHeight, clientHeight } = this.container;
+        if (scrollHeight - scrollTop - clientHeight <= MessageListView.BOTTOM_STICK_THRESHOLD) return null;
+
+        // After a fast scroll the viewport may be over a spacer, with no rendered node in view
+        const visible = Array.from(this.list.children)
+            .find(node => node.offsetTop + node.offsetHeight > scrollTop && node.offsetTop < scrollTop + clientHeight);
+
+        return {
+            key: visible ? visible.getAttribute('data-message-key') : null,
+            offset: visible ? visible.offsetTop - scrollTop : 0,
+            scrollTop
+        };
+    }
+
+    restoreAnchor(anchor) {
+        let scrollTop;
+        if (!anchor) {
+            scrollTop = this.container.scrollHeight;
+        } else if (this.nodes.has(anchor.key)) {
+            scrollTop = this.nodes.get(anchor.key).offsetTop - anchor.offset;
+        } else {
+            scrollTop = anchor.scrollTop;
+        }
+
+        // Avoid fighting the user's scroll with no-op assignments
+        if (Math.abs(this.container.scrollTop - scrollTop) > 1) {
+            this.container.scrollTop = scrollTop;
+        }
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * Bring a node in line with a freshly rendered one, replacing only the children that differ
+     */
+    patchNode(current, next) {
+        if (!next || current.isEqualNode(next)) return;
+
+        Array.from(current.attributes).forEach(attribute => {
+            if (!next.hasAttribute(attribute.name)) current.removeAttribute(attribute.name);
+        });
+        Array.from(next.attributes).forEach(attribute => {
+            current.setAttribute(attribute.name, attribute.value);
+        });
+
+        const currentChildren = Array.from(current.children);
+        const nextChildren = Array.from(next.children);
+        nextChildren.forEach((child, index) => {
+            const existing = currentChildren[index];
+            if (!existing) {
+                current.appendChild(child);
+            } else if (!existing.isEqualNode(child)) {
+                existing.replaceWith(child);
+            }
+        });
+        currentChildren.slice(nextChildren.length).forEach(child => child.remove());
+    }
+
+    createElement(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        return template.content.firstElementChild;
+    }
+
+    reindex() {
+        this.indexByKey = new Map(this.items.map((message, index) => [this.getKey(message), index]));
+    }
+}
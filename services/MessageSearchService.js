@@ -0,0 +1,177 @@
+/**
+ * MessageSearchService - Finds messages matching a search query and tracks the current match
+ * Searches message text, rich message text and attachment file names, case-insensitively.
+ * Matches are ordered newest first, so "next" walks back through the conversation.
+ * Follows Single Responsibility Principle
+ */
+class MessageSearchService {
+    /**
+     * Shorter queries are ignored; a single character matches nearly every message
+     */
+    static MIN_QUERY_LENGTH = 2;
+
+    /**
+     * Older pages loaded per search when history search is on
+     */
+    static MAX_HISTORY_PAGES = 5;
+
+    /**
+     * @param {RichMessageService} [richMessageService] - Reads payloads of rich and attachment messages
+     */
+    constructor(richMessageService = new RichMessageService()) {
+        this.richMessageService = richMessageService;
+        this.clear();
+    }
+
+    /**
+     * Start a new search
+     * @param {string} query - Text to look for
+     * @param {Array} messages - Messages in chronological order (StateManager messagesList)
+     * @returns {Object} - Search state, see getState()
+     */
+    setQuery(query, messages) {
+        this.query = String(query ?? '').trim();
+        this.pattern = this.createPattern(this.query);
+        this.matches = this.findMatches(messages);
+        this.index = this.matches.length > 0 ? 0 : -1;
+        return this.getState();
+    }
+
+    /**
+     * Search again after the message list changed, staying on the current match when it still matches
+     * @param {Array} messages - Messages in chronological order
+     * @returns {Object} - Search state
+     */
+    refresh(messages) {
+        const currentKey = this.getCurrentKey();
+        this.matches = this.findMatches(messages);
+
+        const index = this.matches.findIndex(match => match.key === currentKey);
+        this.index = index !== -1 ? index : Math.min(Math.max(this.index, 0), this.matches.length - 1);
+        return this.getState();
+    }
+
+    /**
+     * Move to the next (older) match, wrapping around to the newest
+     */
+    next() {
+        return this.move(1);
+    }
+
+    /**
+     * Move to the previous (newer) match, wrapping around to the oldest
+     */
+    previous() {
+        return this.move(-1);
+    }
+
+    move(step) {
+        const count = this.matches.length;
+        if (count > 0) {
+            this.index = (this.index + step + count) % count;
+        }
+        return this.getState();
+    }
+
+    clear() {
+        this.query = '';
+        this.pattern = null;
+        this.matches = [];
+        this.index = -1;
+    }
+
+    isActive() {
+        return this.pattern !== null;
+    }
+
+    getQuery() {
+        return this.query;
+    }
+
+    getCurrentKey() {
+        return this.matches[this.index]?.key ?? null;
+    }
+
+    /**
+     * @returns {Object} - { query, pattern, total, index, currentKey, message }; index is 0-based, -1 without matches
+     */
+    getState() {
+        const current = this.matches[this.index] || null;
+        return {
+            query: this.query,
+            pattern: this.pattern,
+            total: this.matches.length,
+            index: this.index,
+            currentKey: current ? current.key : null,
+            message: current ? current.message : null
+        };
+    }
+
+    /**
+     * @returns {Array} - { key, message } of every matching message, newest first
+     */
+    findMatches(messages = []) {
+        if (!this.pattern) return [];
+
+        const matches = [];
+        for (let index = messages.length - 1; index >= 0; index--) {
+            const message = messages[index];
+            if (this.matchesText(this.getSearchableText(message))) {
+                matches.push({ key: this.getMessageKey(message), message });
+            }
+        }
+        return matches;
+    }
+
+    matchesText(text) {
+        if (!this.pattern || !text) return false;
+        this.pattern.lastIndex = 0;
+        return this.pattern.test(text);
+    }
+
+    /**
+     * Text a message is searched by: the file name of attachments, the text of rich
+     * messages, and the message text otherwise. Deleted messages are never matched.
+     */
+    getSearchableText(message) {
+        if (!message || message.is_deleted) return '';
+
+        const fileName = this.getFileName(message);
+        if (fileName !== null) return fileName;
+
+        const rich = this.richMessageService.parse(message);
+        if (rich) return rich.text;
+
+        return typeof message.message === 'string' ? message.message : '';
+    }
+
+    /**
+     * @returns {string|null} - File name of an attachment message ('' when unnamed), null for other messages
+     */
+    getFileName(message) {
+        if (message.type !== 'custom' && message.type !== 'file_attachment') return null;
+
+        const payload = this.richMessageService.getPayload(message);
+        const content = payload?.content || payload;
+        if (!content || !content.url) return null;
+        return content.file_name || content.filename || '';
+    }
+
+    /**
+     * Case-insensitive pattern for a query; runs of whitespace match any whitespace
+     * @returns {RegExp|null} - Global pattern, null when the query is too short
+     */
+    createPattern(query) {
+        if (query.length < MessageSearchService.MIN_QUERY_LENGTH) return null;
+
+        const source = query
+            .split(/\s+/)
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('\\s+');
+        return new RegExp(source, 'giu');
+    }
+
+    getMessageKey(message) {
+        return message.unique_temp_id || message.unique_id || message.id;
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * OutboxService - Queues unsent messages and retries them in order
+ * Entries are persisted through StorageService, retried with exponential backoff
+ * and flushed again when the browser comes back online or the SDK reconnects.
+ * Follows Single Responsibility Principle
+ */
+class OutboxService {
+    static INITIAL_RETRY_DELAY = 1000;
+    static MAX_RETRY_DELAY = 60000;
+
+    /**
+     * @param {StorageService} storageService - Storage for queued entries
+     * @param {EventEmitter} eventEmitter - Event emitter
+     * @param {LoggerService} logger - Logger
+     * @param {Function} deliver - async (entry) => message; throws when the entry could not be sent
+     */
+    constructor(storageService, eventEmitter, logger, deliver) {
+        this.storageService = storageService;
+        this.eventEmitter = eventEmitter;
+        this.logger = logger;
+        this.deliver = deliver;
+        this.entries = [];
+        this.flushPromise = null;
+        this.retryTimer = null;
+        this.handleOnline = () => this.flush();
+    }
+
+    /**
+     * Load persisted entries, listen for connectivity changes and flush what is queued
+     */
+    start() {
+        this.entries = this.load().map(entry => this.restore(entry));
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', this.handleOnline);
+        }
+        if (this.entries.length > 0) {
+            this.logger.log('[OutboxService] Restored', this.entries.length, 'queued messages');
+            const lost = this.entries.filter(entry => this.isLost(entry)).length;
+            if (lost > 0) {
+                this.logger.warn('[OutboxService] Files of', lost, 'queued messages were lost on reload');
+            }
+            this.emitChanged();
+            this.flush();
+        }
+    }
+
+    stop() {
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('online', this.handleOnline);
+        }
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    }
+
+    /**
+     * Add an entry to the end of the queue and try to send it
+     * @param {Object} entry - { id, type: 'text'|'postback'|'media', roomId, text?, extras?, payload?, file?, fileURL?, name?, size?, mimeType?, attempts? }
+     * @returns {Object} - Queued entry
+     */
+    enqueue(entry) {
+        const queued = {
+            attempts: 0,
+            createdAt: Date.now(),
+            ...entry,
+            status: 'queued'
+        };
+        this.entries.push(queued);
+        this.persist();
+
+        this.logger.log('[OutboxService] Queued message:', queued.id);
+        this.eventEmitter.emit('outbox:queued', queued);
+        this.emitChanged();
+
+        // An entry that has just failed waits for the backoff instead of retrying at once
+        if (queued.attempts > 0 && !this.flushPromise) {
+            this.scheduleRetry(queued.attempts);
+        } else {
+            this.flush();
+        }
+        return queued;
+    }
+
+    /**
+     * Update a queued entry (e.g. once its file has been uploaded)
+     */
+    update(id, changes) {
+        const entry = this.get(id);
+        if (!entry) return;
+        Object.assign(entry, changes);
+        this.persist();
+    }
+
+    remove(id) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        if (this.entries.length !== before) {
+            this.persist();
+            this.emitChanged();
+        }
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Whether there are entries that later messages must wait for; lost entries can't be sent, so they don't count
+     */
+    hasPending() {
+        return this.entries.some(entry => !this.isLost(entry));
+    }
+
+    isLost(entry) {
+        return entry.status === 'lost';
+    }
+
+    clear() {
+        this.entries = [];
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.persist();
+        this.emitChanged();
+    }
+
+    /**
+     * Send queued entries in order, stopping at the first failure so ordering is preserved;
+     * lost entries are skipped
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.flushPromise) return this.flushPromise;
+        if (this.isOffline()) {
+            this.logger.log('[OutboxService] Offline, waiting for connectivity');
+            return Promise.resolve();
+        }
+
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        this.flushPromise = this.sendQueued().finally(() => {
+            this.flushPromise = null;
+        });
+        return this.flushPromise;
+    }
+
+    async sendQueued() {
+        let entry;
+        while ((entry = this.entries.find(queued => !this.isLost(queued)))) {
+
+            try {
+                const message = await this.deliver(entry);
+                this.remove(entry.id);
+                this.logger.log('[OutboxService] Sent queued message:', entry.id);
+                this.eventEmitter.emit('outbox:sent', { entry, message });
+            } catch (error) {
+                // The entry may have been removed while it was being sent
+                if (!this.get(entry.id)) continue;
+
+                entry.attempts++;
+                entry.lastError = error?.message || String(error);
+                this.persist();
+
+                this.logger.error('[OutboxService] Failed to send queued message:', entry.id, error);
+                this.eventEmitter.emit('outbox:failed', { entry, error });
+                this.scheduleRetry(entry.attempts);
+                return;
+            }
+        }
+    }
+
+    scheduleRetry(attempts) {
+        const delay = Math.min(
+            OutboxService.INITIAL_RETRY_DELAY * Math.pow(2, attempts - 1),
+            OutboxService.MAX_RETRY_DELAY
+        );
+        this.logger.log('[OutboxService] Retrying in', delay, 'ms');
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Persist entries; raw File objects cannot be stored, so files that were not
+     * uploaded yet are lost on reload (see restore())
+     */
+    persist() {
+        const storable = this.entries.map(({ file, ...entry }) => entry);
+        this.storageService.setItem('outbox', JSON.stringify(storable));
+    }
+
+    /**
+     * A file message restored before its file was uploaded can't be sent anymore; it is kept
+     * as a failed, lost entry so the customer sees it and can send the file again
+     */
+    restore(entry) {
+        if (entry.type !== 'media' || entry.fileURL) return entry;
+        return {
+            ...entry,
+            status: 'lost',
+            attempts: Math.max(1, entry.attempts || 0),
+            lastError: 'File is no longer available for upload'
+        };
+    }
+
+    load() {
+        try {
+            const stored = this.storageService.getItem('outbox');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            this.logger.error('[OutboxService] Failed to load outbox:', error);
+            return [];
+        }
+    }
+
+    emitChanged() {
+        this.eventEmitter.emit('outbox:changed', this.getEntries());
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * PreChatFormService - Describes, validates and maps the pre-chat form
+ * Turns the `preChatForm` config into normalized fields, validates submitted
+ * values and converts them into the user config used by initiateChat().
+ * Follows Single Responsibility Principle
+ */
+class PreChatFormService {
+    static FIELD_TYPES = ['text', 'email', 'tel', 'number', 'textarea', 'select', 'checkbox'];
+
+    /**
+     * Where a field value ends up in the user config
+     */
+    static TARGETS = ['userId', 'displayName', 'avatarUrl', 'userProperties', 'extras'];
+
+    /**
+     * Shorthand fields, e.g. `fields: ['name', 'email', 'phone']`; labels come from the catalog
+     */
+    static PRESETS = {
+        name: { name: 'name', labelKey: 'preChat.field.name', type: 'text', required: true, target: 'displayName' },
+        email: { name: 'email', labelKey: 'preChat.field.email', type: 'email', required: true, target: 'userId' },
+        phone: { name: 'phone', labelKey: 'preChat.field.phone', type: 'tel' }
+    };
+
+    static PATTERNS = {
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        tel: /^\+?[0-9\s\-().]{6,20}$/,
+        number: /^-?\d+(\.\d+)?$/
+    };
+
+    /**
+     * Catalog keys of the messages shown when a value does not match its type's pattern
+     */
+    static PATTERN_MESSAGES = {
+        email: 'preChat.error.email',
+        tel: 'preChat.error.tel',
+        number: 'preChat.error.number'
+    };
+
+    /**
+     * @param {Object} config - `preChatForm` widget option
+     * @param {string} [config.title] - Heading shown above the form
+     * @param {string} [config.description] - Text shown under the heading
+     * @param {string} [config.submitLabel] - Submit button text
+     * @param {Array<Object|string>} config.fields - Field definitions or preset names
+     * @param {Object} [options]
+     * @param {boolean} [options.requireUserId=true] - Require a field targeting userId; off when a guest ID can fill in
+     * @param {I18nService} [options.i18n] - Translations for default texts and validation messages
+     */
+    constructor(config, { requireUserId = true, i18n = new I18nService() } = {}) {
+        this.i18n = i18n;
+        this.form = {
+            title: config.title || null,
+            description: config.description || null,
+            submitLabel: config.submitLabel || null,
+            fields: (config.fields || ['name', 'email']).map(field => this.normalizeField(field))
+        };
+
+        const userIdField = this.form.fields.find(field => field.target === 'userId');
+        if (requireUserId && (!userIdField || !userIdField.required)) {
+            throw new Error('preChatForm needs a required field with target "userId", e.g. an email field');
+        }
+    }
+
+    /**
+     * Form with default texts and preset labels translated for the current locale
+     */
+    getForm() {
+        return {
+            title: this.form.title || this.i18n.t('preChat.title'),
+            description: this.form.description || this.i18n.t('preChat.description'),
+            submitLabel: this.form.submitLabel || this.i18n.t('preChat.submit'),
+            fields: this.form.fields.map(field => ({
+                ...field,
+                label: field.label || (field.labelKey ? this.i18n.t(field.labelKey) : field.name)
+            }))
+        };
+    }
+
+    /**
+     * Validate submitted values
+     * @param {Object} values - Field values keyed by field name
+     * @returns {Object} - Error messages keyed by field name; empty when valid
+     */
+    validate(values) {
+        const errors = {};
+        this.form.fields.forEach(field => {
+            const error = this.validateField(field, values[field.name], values);
+            if (error) errors[field.name] = error;
+        });
+        return errors;
+    }
+
+    validateField(field, value, values) {
+        const t = (key, params) => field.errorMessage || this.i18n.t(key, params);
+
+        if (value == null || value === '' || value === false) {
+            return field.required ? t('preChat.error.required') : null;
+        }
+        if (field.type === 'checkbox') return null;
+
+        const text = String(value);
+        if (field.type === 'select' && !field.options.some(option => option.value === text)) {
+            return t('preChat.error.option');
+        }
+        if (field.minLength && text.length < field.minLength) {
+            return t('preChat.error.minLength', { min: field.minLength });
+        }
+        if (field.maxLength && text.length > field.maxLength) {
+            return t('preChat.error.maxLength', { max: field.maxLength });
+        }
+
+        const pattern = field.pattern || PreChatFormService.PATTERNS[field.type];
+        if (pattern && !pattern.test(text)) {
+            return t(PreChatFormService.PATTERN_MESSAGES[field.type] || 'preChat.error.invalid');
+        }
+
+        if (field.validate) {
+            const result = field.validate(value, values);
+            if (typeof result === 'string' && result) return result;
+            if (result === false) return t('preChat.error.invalid');
+        }
+        return null;
+    }
+
+    /**
+     * Map valid values to the user config accepted by setUser()
+     * @param {Object} values - Field values keyed by field name
+     * @returns {Object} - { userId, displayName, avatarUrl, extras, userProperties }; userId is null when no field targets it
+     */
+    toUserConfig(values) {
+        const userConfig = { userId: null, displayName: null, avatarUrl: undefined, extras: {}, userProperties: {} };
+
+        this.form.fields.forEach(field => {
+            const value = values[field.name];
+            if (value == null || value === '') return;
+
+            if (field.target === 'userProperties' || field.target === 'extras') {
+                userConfig[field.target][field.name] = value;
+            } else {
+                userConfig[field.target] = value;
+            }
+        });
+
+        userConfig.displayName = userConfig.displayName || userConfig.userId;
+        return userConfig;
+    }
+
+    normalizeField(definition) {
+        const preset = typeof definition === 'string' ? PreChatFormService.PRESETS[definition] : null;
+        if (typeof definition === 'string' && !preset) {
+            throw new Error(`Unknown preChatForm field preset: ${definition}`);
+        }
+
+        const field = { ...(preset || PreChatFormService.PRESETS[definition.name] || {}), ...(preset ? {} : definition) };
+        if (!field.name) {
+            throw new Error('Every preChatForm field needs a name');
+        }
+
+        field.type = field.type || 'text';
+        if (!PreChatFormService.FIELD_TYPES.includes(field.type)) {
+            throw new Error(`Unsupported preChatForm field type "${field.type}" for field ${field.name}`);
+        }
+
+        field.target = field.target || 'userProperties';
+        if (!PreChatFormService.TARGETS.includes(field.target)) {
+            throw new Error(`Unsupported preChatForm field target "${field.target}" for field ${field.name}`);
+        }
+
+        field.required = field.required === true;
+        field.options = (field.options || []).map(option =>
+            typeof option === 'object' ? { value: String(option.value), label: option.label || String(option.value) }
+                : { value: String(option), label: String(option) }
+        );
+        if (typeof field.pattern === 'string') {
+            field.pattern = new RegExp(field.pattern);
+        }
+        return field;
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * RichMessageService - Reads interactive Qiscus payloads (buttons, card, carousel, quick replies)
+ * Normalizes them into one shape for rendering and resolves the button behind a tap,
+ * so UIService and ChatService don't each parse the raw payload formats.
+ * Follows Single Responsibility Principle
+ */
+class RichMessageService {
+    /**
+     * Message type the Qiscus SDK uses for the reply sent when a postback button is tapped
+     */
+    static POSTBACK_TYPE = 'button_postback_response';
+
+    /**
+     * `custom` payload type carrying quick replies
+     */
+    static QUICK_REPLY_TYPE = 'quick_reply';
+
+    /**
+     * Normalized rich content of a message
+     * @param {Object} message - Message object
+     * @returns {Object|null} - { kind, text, buttons, cards, quickReplies } or null for plain messages
+     */
+    parse(message) {
+        const payload = this.getPayload(message);
+        if (!payload) return null;
+
+        if (message.type === 'buttons') {
+            return this.describe('buttons', {
+                text: payload.text || message.message,
+                buttons: this.normalizeButtons(payload.buttons)
+            });
+        }
+
+        if (message.type === 'card') {
+            return this.describe('card', {
+                text: payload.text,
+                cards: [this.normalizeCard(payload)]
+            });
+        }
+
+        if (message.type === 'carousel') {
+            return this.describe('carousel', {
+                text: payload.text,
+                cards: (payload.cards || []).map(card => this.normalizeCard(card))
+            });
+        }
+
+        if (message.type === 'custom' && payload.type === RichMessageService.QUICK_REPLY_TYPE) {
+            const content = payload.content || {};
+            return this.describe('quickReply', {
+                text: content.text || message.message,
+                quickReplies: this.normalizeButtons(content.buttons || content.replies)
+            });
+        }
+
+        return null;
+    }
+
+    describe(kind, { text = '', buttons = [], cards = [], quickReplies = [] }) {
+        return { kind, text: text || '', buttons, cards, quickReplies };
+    }
+
+    isRichMessage(message) {
+        return this.parse(message) !== null;
+    }
+
+    /**
+     * Button behind a rendered action
+     * @param {Object} message - Message object
+     * @param {string} path - 'b<i>', 'q<i>', 'c<card>.b<i>' or 'c<card>.default'
+     * @returns {Object|null} - Normalized button
+     */
+    getAction(message, path) {
+        const rich = this.parse(message);
+        if (!rich || typeof path !== 'string') return null;
+
+        const [first, second] = path.split('.');
+        const index = (part) => Number(part.slice(1));
+
+        if (first[0] === 'b') return rich.buttons[index(first)] || null;
+        if (first[0] === 'q') return rich.quickReplies[index(first)] || null;
+        if (first[0] === 'c' && second) {
+            const card = rich.cards[index(first)];
+            if (!card) return null;
+            return second === 'default' ? card.defaultAction : card.buttons[index(second)] || null;
+        }
+        return null;
+    }
+
+    /**
+     * Quick replies are offered until one is chosen
+     */
+    hasOpenQuickReplies(message) {
+        const rich = this.parse(message);
+        return !!rich && rich.quickReplies.length > 0 && !message.quick_reply_answered;
+    }
+
+    normalizeCard(card = {}) {
+        return {
+            title: card.title || '',
+            description: card.description || '',
+            image: this.sanitizeURL(card.image),
+            defaultAction: card.default_action
+                ? this.normalizeButton({ label: card.title, ...card.default_action })
+                : (card.url ? this.normalizeButton({ label: card.title, type: 'link', payload: { url: card.url } }) : null),
+            buttons: this.normalizeButtons(card.buttons)
+        };
+    }
+
+    normalizeButtons(buttons) {
+        return (Array.isArray(buttons) ? buttons : [])
+            .map(button => this.normalizeButton(button))
+            .filter(Boolean);
+    }
+
+    /**
+     * @returns {Object|null} - { label, type: 'postback'|'link', text, url, payload }; null for links without a safe URL
+     */
+    normalizeButton(button) {
+        if (!button) return null;
+        if (typeof button === 'string') {
+            return { label: button, type: 'postback', text: button, url: null, payload: {} };
+        }
+
+        const payload = button.payload && typeof button.payload === 'object' ? button.payload : {};
+        const label = String(button.label || button.title || button.postback_text || '');
+        const type = button.type === 'link' ? 'link' : 'postback';
+        const url = this.sanitizeURL(payload.url || button.url);
+        if (type === 'link' && !url) return null;
+
+        return {
+            label,
+            type,
+            text: String(button.postback_text || label),
+            url,
+            payload
+        };
+    }
+
+    /**
+     * Only http(s) URLs are opened or loaded; anything else (e.g. javascript:) is dropped
+     */
+    sanitizeURL(url) {
+        if (typeof url !== 'string' || !url.trim()) return null;
+        try {
+            const parsed = new URL(url.trim(), typeof window !== 'undefined' ? window.location.href : undefined);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getPayload(message) {
+        if (!message || !message.payload) return null;
+        if (typeof message.payload !== 'string') return message.payload;
+        try {
+            return JSON.parse(message.payload);
+        } catch (error) {
+            return null;
+        }
+    }
+}
@@ -3,34 +3,57 @@
  * Follows Single Responsibility Principle
  */
 class SDKService {
-    constructor(eventEmitter, logger) {
+    /**
+     * Pending SDK script load, shared by every widget instance on the page
+     * so the script is only injected once
+     */
+    static loadPromise = null;
+
+    /**
+     * @param {EventEmitter} eventEmitter - Event emitter
+     * @param {LoggerService} logger - Logger
+     * @param {Object} [adapter] - Object implementing the QiscusSDKCore operations used by the widget
+     *   (init, getNonce, verifyIdentityToken, setUserWithIdentityToken, sendComment, loadMore,
+     *   getRoomById, upload, generateFileAttachmentMessage, publishTyping). When given, the SDK script is not loaded.
+     *   `upload(file, callback, { signal })` should stop when the signal is aborted.
+     */
+    constructor(eventEmitter, logger, adapter = null) {
         this.eventEmitter = eventEmitter;
         this.logger = logger;
+        this.adapter = adapter;
         this.sdk = null;
         this.isInitialized = false;
     }
 
     async loadSDK() {
-        if (window.QiscusSDKCore) {
+        if (this.adapter || window.QiscusSDKCore) {
             return Promise.resolve();
         }
 
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://unpkg.com/qiscus-sdk-core@2.14.2';
-            script.onload = () => {
-                this.logger.log('[SDKService] SDK loaded');
-                resolve();
-            };
-            script.onerror = () => reject(new Error('Failed to load Qiscus SDK'));
-            document.head.appendChild(script);
-        });
+        if (!SDKService.loadPromise) {
+            SDKService.loadPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = 'https://unpkg.com/qiscus-sdk-core@2.14.2';
+                script.onload = () => {
+                    this.logger.log('[SDKService] SDK loaded');
+                    resolve();
+                };
+                script.onerror = () => {
+                    SDKService.loadPromise = null;
+                    script.remove();
+                    reject(new Error('Failed to load Qiscus SDK'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+
+        return SDKService.loadPromise;
     }
 
     async initialize(appId) {
         if (this.isInitialized) return this.sdk;
 
-        this.sdk = new window.QiscusSDKCore();
+        this.sdk = this.adapter || new window.QiscusSDKCore();
         this.sdk.debugMode = this.logger.debugMode;
         await this.sdk.init({
             AppId: appId,
@@ -115,22 +138,178 @@ class SDKService {
         return typeof response === 'object' && response.nonce ? response.nonce : response;
     }
 
-    async sendMessage(roomId, text, extras = {}) {
+    /**
+     * Send text message
+     * @param {number} roomId - Room ID
+     * @param {string} text - Message text
+     * @param {Object} [extras] - Extra parameters
+     * @param {string} [uniqueId] - Client generated ID, lets the server dedupe retried sends
+     * @returns {Promise<Object>} - Sent message
+     */
+    async sendMessage(roomId, text, extras = {}, uniqueId = null) {
         if (!this.sdk) throw new Error('SDK not initialized');
         
         return await this.sdk.sendComment(
             roomId,
             text,
-            null, // uniqueId
+            uniqueId,
             'text',
             null, // payload
             extras
         );
     }
 
-    async loadMoreMessages(lastMessageId) {
+    /**
+     * Send the reply to a tapped postback button
+     * @param {number} roomId - Room ID
+     * @param {string} text - Postback text shown as the customer's message
+     * @param {Object} [payload] - Payload of the tapped button
+     * @param {string} [uniqueId] - Client generated ID, lets the server dedupe retried sends
+     * @returns {Promise<Object>} - Sent message
+     */
+    async sendPostback(roomId, text, payload = {}, uniqueId = null) {
         if (!this.sdk) throw new Error('SDK not initialized');
-        return await this.sdk.loadMore(lastMessageId);
+
+        return await this.sdk.sendComment(
+            roomId,
+            text,
+            uniqueId,
+            RichMessageService.POSTBACK_TYPE,
+            payload,
+            {}
+        );
+    }
+
+    /**
+     * Upload a file to the Qiscus CDN
+     * The SDK's own upload cannot be aborted, so the file is posted to the SDK's upload
+     * endpoint directly, with the SDK's request headers. Adapters get the signal as a third argument of `upload()`.
+     * @param {File} file - File to upload
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - (percent) => void
+     * @param {AbortSignal} [options.signal] - Aborts the upload
+     * @returns {Promise<string>} - Uploaded file URL
+     */
+    upload(file, { onProgress = () => {}, signal = null } = {}) {
+        if (!this.sdk) return Promise.reject(new Error('SDK not initialized'));
+
+        if (!this.adapter && this.sdk.uploadURL && typeof XMLHttpRequest !== 'undefined') {
+            return this.uploadWithRequest(file, onProgress, signal);
+        }
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+            signal?.addEventListener('abort', () => reject(this.createAbortError()), { once: true });
+
+            this.sdk.upload(file, (error, progress, fileURL) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                if (progress) {
+                    onProgress(progress.percent);
+                }
+                if (fileURL) {
+                    resolve(fileURL);
+                }
+            }, { signal });
+        });
+    }
+
+    uploadWithRequest(file, onProgress, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+            if (!this.sdk.HTTPAdapter?.userId || !this.sdk.HTTPAdapter?.token) {
+                reject(new Error('User not logged in'));
+                return;
+            }
+
+            const request = new XMLHttpRequest();
+            const body = new FormData();
+            body.append('file', file);
+
+            request.open('POST', this.sdk.uploadURL);
+            Object.entries(this.getRequestHeaders()).forEach(([name, value]) => {
+                request.setRequestHeader(name, value);
+            });
+
+            request.upload.onprogress = (event) => {
+                if (event.lengthComputable) {
+                    onProgress(event.loaded / event.total * 100);
+                }
+            };
+            request.onload = () => {
+                let fileURL = null;
+                try {
+                    fileURL = JSON.parse(request.responseText)?.results?.file?.url || null;
+                } catch (error) {
+                    // Handled below as a failed upload
+                }
+
+                if (request.status >= 200 && request.status < 300 && fileURL) {
+                    resolve(fileURL);
+                } else {
+                    reject(new Error(`Upload failed with status ${request.status}`));
+                }
+            };
+            request.onerror = () => reject(new Error('Upload failed: network error'));
+            request.onabort = () => reject(this.createAbortError());
+            signal?.addEventListener('abort', () => request.abort(), { once: true });
+
+            request.send(body);
+        });
+    }
+
+    /**
+     * Headers the SDK sends with its own requests (app ID, user ID, token, SDK version and
+     * platform, and the integrator's custom headers), collected from the SDK's HTTPAdapter
+     * @returns {Object} - Header values by name
+     */
+    getRequestHeaders() {
+        const headers = {};
+        const request = {
+            set: (name, value) => {
+                headers[name] = String(value);
+                return request;
+            }
+        };
+
+        const http = this.sdk.HTTPAdapter;
+        if (typeof http.setupHeaders === 'function') {
+            http.setupHeaders(request);
+        } else {
+            request.set('QISCUS-SDK-APP-ID', this.sdk.AppId);
+            request.set('QISCUS-SDK-USER-ID', http.userId);
+            request.set('QISCUS-SDK-TOKEN', http.token);
+        }
+        return headers;
+    }
+
+    createAbortError() {
+        const error = new Error('Upload cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Publish the customer's typing status to the room
+     * @param {number} roomId - Room ID (the Qiscus SDK publishes to its active room)
+     * @param {boolean} isTyping - Typing status
+     */
+    publishTyping(roomId, isTyping) {
+        if (!this.sdk) throw new Error('SDK not initialized');
+        this.sdk.publishTyping(isTyping ? 1 : 0, roomId);
+    }
+
+    async loadMoreMessages(lastMessageId, limit = 20) {
+        if (!this.sdk) throw new Error('SDK not initialized');
+        return await this.sdk.loadMore(lastMessageId, { limit });
     }
 
     /**
@@ -183,4 +362,28 @@ class SDKService {
         this.logger.log('[SDKService] User is logged in:', this.sdk.isLogin);
         return this.sdk?.isLogin || false;
     }
+
+    /**
+     * Disconnect the SDK realtime connection and release the SDK instance
+     * The stored session is kept so a new widget instance can restore it. QiscusSDKCore's own
+     * `disconnect()` logs out and revokes the token on the server, so only the realtime side is torn down.
+     */
+    disconnect() {
+        if (!this.sdk) return;
+
+        try {
+            clearInterval(this.sdk.presensePublisherId);
+            if (this.sdk.realtimeAdapter?.disconnect) {
+                Promise.resolve(this.sdk.realtimeAdapter.disconnect()).catch(error => {
+                    this.logger.error('[SDKService] Failed to disconnect SDK:', error);
+                });
+            }
+            this.logger.log('[SDKService] SDK disconnected');
+        } catch (error) {
+            this.logger.error('[SDKService] Failed to disconnect SDK:', error);
+        }
+
+        this.sdk = null;
+        this.isInitialized = false;
+    }
 }
@@ -3,6 +3,17 @@
  * Follows Single Responsibility Principle
  */
 class StateManager {
+    /**
+     * Order of message statuses; a status is only ever upgraded
+     */
+    static MESSAGE_STATUS_RANK = {
+        failed: 0,
+        pending: 0,
+        sent: 1,
+        delivered: 2,
+        read: 3
+    };
+
     constructor(eventEmitter) {
         this.eventEmitter = eventEmitter;
         this.state = {
@@ -14,7 +25,9 @@ class StateManager {
             isOpen: false,
             isLoggedIn: false,
             isTyping: false,
-            unreadCount: 0
+            unreadCount: 0,
+            hasMoreMessages: true,
+            isLoadingMore: false
         };
     }
 
@@ -32,8 +45,15 @@ class StateManager {
         return this.state[key];
     }
 
+    /**
+     * Key used to dedupe messages; optimistic and server copies share unique_temp_id
+     */
+    getMessageKey(message) {
+        return message.unique_temp_id || message.unique_id || message.id;
+    }
+
     addMessage(message) {
-        const msgId = message.unique_temp_id || message.unique_id || message.id;
+        const msgId = this.getMessageKey(message);
         
         if (!this.state.messages.has(msgId)) {
             this.state.messages.set(msgId, message);
@@ -42,24 +62,154 @@ class StateManager {
         }
     }
 
+    /**
+     * Merge changes into an existing message
+     * @param {string|number} msgId - Message key
+     * @param {Object} changes - Fields to update
+     * @returns {Object|null} - Updated message
+     */
+    updateMessage(msgId, changes) {
+        const current = this.state.messages.get(msgId);
+        if (!current) return null;
+
+        const updated = { ...current, ...changes };
+        this.state.messages.set(msgId, updated);
+        this.state.messagesList = this.state.messagesList.map(msg => msg === current ? updated : msg);
+        this.eventEmitter.emit('state:messageUpdated', updated);
+        return updated;
+    }
+
+    /**
+     * Replace a message with the same key (e.g. an optimistic copy with the server copy) or add it
+     */
+    upsertMessage(message) {
+        const msgId = this.getMessageKey(message);
+        if (this.state.messages.has(msgId)) {
+            return this.updateMessage(msgId, message);
+        }
+        this.addMessage(message);
+        return message;
+    }
+
+    removeMessage(msgId) {
+        const current = this.state.messages.get(msgId);
+        if (!current) return;
+
+        this.state.messages.delete(msgId);
+        this.state.messagesList = this.state.messagesList.filter(msg => msg !== current);
+        this.eventEmitter.emit('state:messageRemoved', current);
+    }
+
+    /**
+     * Apply a delivery/read receipt. Receipts are cumulative: every message up to
+     * and including the given comment ID reaches at least the given status.
+     * @param {number} commentId - Server comment ID the receipt refers to
+     * @param {string} status - 'delivered' or 'read'
+     * @returns {Array} - Messages whose status changed
+     */
+    updateMessageStatus(commentId, status) {
+        const rank = StateManager.MESSAGE_STATUS_RANK;
+        const changed = [];
+
+        this.state.messagesList = this.state.messagesList.map(msg => {
+            if (!msg.id || msg.id > commentId) return msg;
+            if (msg.status === 'pending' || msg.status === 'failed') return msg;
+            if ((rank[msg.status] || 0) >= rank[status]) return msg;
+
+            const updated = { ...msg, status };
+            this.state.messages.set(this.getMessageKey(msg), updated);
+            changed.push(updated);
+            return updated;
+        });
+
+        if (changed.length > 0) {
+            this.eventEmitter.emit('state:messageStatusChanged', { status, messages: changed });
+        }
+        return changed;
+    }
+
+    /**
+     * Resolve the state key of a message from any of its IDs (unique_id, unique_temp_id or id)
+     * @returns {string|number|null}
+     */
+    findMessageKey(anyId) {
+        if (this.state.messages.has(anyId)) return anyId;
+
+        const message = this.state.messagesList.find(msg =>
+            msg.unique_id === anyId || msg.unique_temp_id === anyId || msg.id === anyId
+        );
+        return message ? this.getMessageKey(message) : null;
+    }
+
+    /**
+     * Remove a deleted message, or keep it as a tombstone so a placeholder can be shown
+     * @param {string} uniqueId - unique_id of the deleted message
+     * @param {boolean} [tombstone=false] - Keep a content-less copy flagged with is_deleted
+     * @returns {Object|null} - The deleted message
+     */
+    deleteMessage(uniqueId, tombstone = false) {
+        const msgId = this.findMessageKey(uniqueId);
+        if (msgId == null) return null;
+
+        const message = this.state.messages.get(msgId);
+        if (tombstone) {
+            this.updateMessage(msgId, { is_deleted: true, message: '', payload: null, type: 'text' });
+        } else {
+            this.removeMessage(msgId);
+        }
+        return message;
+    }
+
+    clearMessages() {
+        this.state.messages.clear();
+        this.state.messagesList = [];
+        this.eventEmitter.emit('state:messagesCleared');
+    }
+
+    getMessage(msgId) {
+        return this.state.messages.get(msgId) || null;
+    }
+
     addMessages(messages) {
         messages.forEach(msg => this.addMessage(msg));
     }
 
+    /**
+     * Replace every message; emits a single state:messagesReset instead of one event per message
+     */
     setMessages(messages) {
         this.state.messages.clear();
         this.state.messagesList = [];
-        this.addMessages(messages);
-    }
 
-    prependMessages(messages) {
         messages.forEach(msg => {
-            const msgId = msg.unique_temp_id || msg.unique_id || msg.id;
+            const msgId = this.getMessageKey(msg);
             if (!this.state.messages.has(msgId)) {
                 this.state.messages.set(msgId, msg);
+                this.state.messagesList.push(msg);
             }
         });
-        this.state.messagesList = [...messages, ...this.state.messagesList];
+        this.eventEmitter.emit('state:messagesReset', this.state.messagesList);
+    }
+
+    /**
+     * Add older messages to the top of the list
+     * @param {Array} messages - Older messages, in any order
+     * @returns {Array} - Messages that were not already in the list, oldest first
+     */
+    prependMessages(messages) {
+        const olderMessages = messages
+            .filter(msg => !this.state.messages.has(this.getMessageKey(msg)))
+            .sort((a, b) => (a.id || 0) - (b.id || 0));
+
+        olderMessages.forEach(msg => {
+            this.state.messages.set(this.getMessageKey(msg), msg);
+        });
+        this.state.messagesList = [...olderMessages, ...this.state.messagesList];
+
+        if (olderMessages.length > 0) {
+            this.eventEmitter.emit('state:messagesPrepended', olderMessages);
+        }
+        return olderMessages;
     }
 
     incrementUnread() {
@@ -82,7 +232,9 @@ class StateManager {
             isOpen: false,
             isLoggedIn: false,
             isTyping: false,
-            unreadCount: 0
+            unreadCount: 0,
+            hasMoreMessages: true,
+            isLoadingMore: false
         };
         this.eventEmitter.emit('state:reset');
     }
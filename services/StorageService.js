@@ -4,17 +4,60 @@
  * Follows Dependency Inversion Principle (can be swapped with different storage)
  */
 class StorageService {
-    constructor(storageProvider = localStorage) {
+    /**
+     * Keys that outlive clearSession(), e.g. the guest identity reused across conversations
+     */
+    static PERSISTENT_KEYS = ['guestIdentity', 'surveyedRooms'];
+
+    /**
+     * @param {Storage} [storageProvider=localStorage] - Storage backend
+     * @param {string} [namespace] - Key namespace (e.g. appId or appId:channelId) so several widgets don't share a session
+     */
+    constructor(storageProvider = localStorage, namespace = '') {
         this.storage = storageProvider;
-        this.KEYS = {
-            lastUserId: 'QiscusWidget::last-user-id',
-            lastRoomId: 'QiscusWidget::last-room-id',
-            lastUserData: 'QiscusWidget::last-user-data',
-            lastUserToken: 'QiscusWidget::last-user-token',
-            lastAppId: 'QiscusWidget::last-app-id'
+        this.namespace = namespace;
+        this.KEYS = this.buildKeys(namespace);
+    }
+
+    buildKeys(namespace) {
+        const prefix = namespace ? `QiscusWidget::${namespace}::` : 'QiscusWidget::';
+        return {
+            lastUserId: `${prefix}last-user-id`,
+            lastRoomId: `${prefix}last-room-id`,
+            lastUserData: `${prefix}last-user-data`,
+            lastUserToken: `${prefix}last-user-token`,
+            lastAppId: `${prefix}last-app-id`,
+            outbox: `${prefix}outbox`,
+            guestIdentity: `${prefix}guest-identity`,
+            surveyedRooms: `${prefix}surveyed-rooms`
         };
     }
 
+    /**
+     * Move a session saved under the old un-namespaced keys into this namespace,
+     * so existing visitors keep their conversation after upgrading
+     * @param {string} appId - Qiscus application ID the legacy session must belong to
+     */
+    migrateLegacySession(appId) {
+        if (!this.namespace) return;
+
+        try {
+            const legacyKeys = this.buildKeys('');
+            if (this.storage.getItem(legacyKeys.lastAppId) !== appId) return;
+            if (this.storage.getItem(this.KEYS.lastUserData) != null) return;
+
+            Object.keys(legacyKeys).forEach(key => {
+                const value = this.storage.getItem(legacyKeys[key]);
+                if (value != null) {
+                    this.storage.setItem(this.KEYS[key], value);
+                }
+                this.storage.removeItem(legacyKeys[key]);
+            });
+        } catch (error) {
+            console.error('[StorageService] Migrate legacy session error:', error);
+        }
+    }
+
     /**
      * Get item from storage (matches AsyncStorage.getItem)
      * @param {string} key - Storage key name (without prefix)
@@ -52,6 +95,19 @@ class StorageService {
         }
     }
 
+    removeItem(key) {
+        try {
+            const storageKey = this.KEYS[key];
+            if (!storageKey) {
+                console.warn(`[StorageService] Unknown key: ${key}`);
+                return;
+            }
+            this.storage.removeItem(storageKey);
+        } catch (error) {
+            console.error('[StorageService] Remove item error:', error);
+        }
+    }
+
     saveSession(appId, user, token, roomId) {
         try {
             this.storage.setItem(this.KEYS.lastAppId, appId);
@@ -89,8 +145,10 @@ class StorageService {
     }
 
     clearSession() {
-        Object.values(this.KEYS).forEach(key => {
-            this.storage.removeItem(key);
-        });
+        Object.keys(this.KEYS)
+            .filter(key => !StorageService.PERSISTENT_KEYS.includes(key))
+            .forEach(key => {
+                this.storage.removeItem(this.KEYS[key]);
+            });
     }
 }
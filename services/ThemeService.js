@@ -0,0 +1,212 @@
+/**
+ * ThemeService - Resolves the theme config into CSS custom properties
+ * Merges the host theme over light/dark palettes and layout defaults, follows the
+ * system color scheme in 'auto' mode and accepts partial updates at runtime.
+ * Follows Single Responsibility Principle
+ */
+class ThemeService {
+    static MODES = ['light', 'dark', 'auto'];
+
+    static PLACEMENTS = ['right', 'left'];
+
+    static DEFAULT_ICONS = {
+        launcher: 'https://cdn-icons-png.flaticon.com/128/1041/1041916.png',
+        avatar: 'https://cdn-icons-png.flaticon.com/128/3135/3135715.png',
+        send: 'https://cdn-icons-png.flaticon.com/128/3682/3682321.png'
+    };
+
+    /**
+     * Color palettes per mode; `primaryColor` / `secondaryColor` and `colors` /
+     * `darkColors` from the theme are laid over them
+     */
+    static PALETTES = {
+        light: {
+            primary: '#55B29A',
+            onPrimary: '#ffffff',
+            secondary: '#F4F4F4',
+            onSecondary: '#333333',
+            background: '#ffffff',
+            surface: '#f9f9f9',
+            surfaceAlt: '#f5f5f5',
+            text: '#333333',
+            textSecondary: '#666666',
+            textMuted: '#999999',
+            border: '#e0e0e0',
+            error: '#d32f2f'
+        },
+        dark: {
+            primary: '#55B29A',
+            onPrimary: '#ffffff',
+            secondary: '#2c2c2e',
+            onSecondary: '#e8e8e8',
+            background: '#1e1e1e',
+            surface: '#141414',
+            surfaceAlt: '#2a2a2a',
+            text: '#e8e8e8',
+            textSecondary: '#b0b0b0',
+            textMuted: '#8a8a8a',
+            border: '#3a3a3a',
+            error: '#ef5350'
+        }
+    };
+
+    /**
+     * CSS custom property of each palette color
+     */
+    static COLOR_VARIABLES = {
+        primary: '--qiscus-primary-color',
+        onPrimary: '--qiscus-on-primary-color',
+        secondary: '--qiscus-secondary-color',
+        onSecondary: '--qiscus-on-secondary-color',
+        background: '--qiscus-background',
+        surface: '--qiscus-surface',
+        surfaceAlt: '--qiscus-surface-alt',
+        text: '--qiscus-text-color',
+        textSecondary: '--qiscus-text-secondary',
+        textMuted: '--qiscus-text-muted',
+        border: '--qiscus-border-color',
+        error: '--qiscus-error-color'
+    };
+
+    static LAYOUT_DEFAULTS = {
+        fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+        fontSize: 14,
+        borderRadius: 12,
+        width: 380,
+        height: 600,
+        offsetX: 20,
+        offsetY: 20,
+        zIndex: 9999
+    };
+
+    /**
+     * @param {Object} [theme] - `theme` widget option (primaryColor and secondaryColor included)
+     */
+    constructor(theme = {}) {
+        this.source = {};
+        this.update(theme);
+    }
+
+    /**
+     * Merge a partial theme into the current one; `colors`, `darkColors` and `icons` merge key by key
+     * @param {Object} theme - Partial theme
+     * @returns {Object} - Resolved theme
+     */
+    update(theme = {}) {
+        const source = {
+            ...this.source,
+            ...theme,
+            colors: { ...this.source.colors, ...theme.colors },
+            darkColors: { ...this.source.darkColors, ...theme.darkColors },
+            icons: { ...this.source.icons, ...theme.icons }
+        };
+        this.theme = this.normalize(source);
+        this.source = source;
+        return this.theme;
+    }
+
+    getTheme() {
+        return this.theme;
+    }
+
+    normalize(theme) {
+        const mode = theme.mode || 'light';
+        if (!ThemeService.MODES.includes(mode)) {
+            throw new Error(`Unsupported theme mode "${mode}"`);
+        }
+
+        const placement = theme.placement || null;
+        if (placement && !ThemeService.PLACEMENTS.includes(placement)) {
+            throw new Error(`Unsupported theme placement "${placement}"`);
+        }
+
+        const layout = {};
+        Object.keys(ThemeService.LAYOUT_DEFAULTS).forEach(key => {
+            layout[key] = theme[key] ?? ThemeService.LAYOUT_DEFAULTS[key];
+        });
+
+        // primaryColor follows the brand in both modes; secondaryColor is the light incoming bubble
+        const brand = theme.primaryColor ? { primary: theme.primaryColor } : {};
+        return {
+            ...layout,
+            mode,
+            placement,
+            colors: {
+                light: {
+                    ...ThemeService.PALETTES.light,
+                    ...brand,
+                    ...(theme.secondaryColor ? { secondary: theme.secondaryColor } : {}),
+                    ...theme.colors
+                },
+                dark: { ...ThemeService.PALETTES.dark, ...brand, ...theme.darkColors }
+            },
+            icons: { ...ThemeService.DEFAULT_ICONS, ...this.compact(theme.icons) }
+        };
+    }
+
+    /**
+     * Whether the dark palette applies, following the system setting in 'auto' mode
+     */
+    isDark() {
+        if (this.theme.mode === 'auto') {
+            return !!this.getColorSchemeQuery()?.matches;
+        }
+        return this.theme.mode === 'dark';
+    }
+
+    /**
+     * @returns {MediaQueryList|null} - Dark color scheme query, null where matchMedia is unavailable
+     */
+    getColorSchemeQuery() {
+        return typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+            ? window.matchMedia('(prefers-color-scheme: dark)')
+            : null;
+    }
+
+    /**
+     * @param {string} [direction='ltr'] - Text direction; without an explicit placement the widget sits at the end side
+     * @returns {string} - 'left' or 'right'
+     */
+    getPlacement(direction = 'ltr') {
+        return this.theme.placement || (direction === 'rtl' ? 'left' : 'right');
+    }
+
+    getIcons() {
+        return this.theme.icons;
+    }
+
+    /**
+     * CSS custom properties for the active mode
+     * @returns {Object} - Values keyed by property name, e.g. { '--qiscus-primary-color': '#55B29A' }
+     */
+    getVariables() {
+        const { theme } = this;
+        const palette = this.isDark() ? theme.colors.dark : theme.colors.light;
+        const variables = {};
+
+        Object.entries(ThemeService.COLOR_VARIABLES).forEach(([key, property]) => {
+            variables[property] = palette[key];
+        });
+
+        variables['--qiscus-font-family'] = theme.fontFamily;
+        variables['--qiscus-font-size'] = this.toLength(theme.fontSize);
+        variables['--qiscus-radius'] = this.toLength(theme.borderRadius);
+        variables['--qiscus-window-width'] = this.toLength(theme.width);
+        variables['--qiscus-window-height'] = this.toLength(theme.height);
+        variables['--qiscus-offset-x'] = this.toLength(theme.offsetX);
+        variables['--qiscus-offset-y'] = this.toLength(theme.offsetY);
+        variables['--qiscus-z-index'] = String(theme.zIndex);
+        return variables;
+    }
+
+    /**
+     * Numbers are taken as pixels; strings are used as given (e.g. '2rem')
+     */
+    toLength(value) {
+        return typeof value === 'number' ? `${value}px` : String(value);
+    }
+
+    compact(object = {}) {
+        return Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value));
+    }
+}
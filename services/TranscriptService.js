@@ -0,0 +1,220 @@
+/**
+ * TranscriptService - Builds downloadable transcripts of a conversation
+ * Turns messages into plain text, a self-contained HTML page or JSON, with sender names,
+ * timestamps and attachment links. Messages that were never sent are left out.
+ * Follows Single Responsibility Principle
+ */
+class TranscriptService {
+    static FORMATS = {
+        text: { extension: 'txt', mimeType: 'text/plain;charset=utf-8' },
+        html: { extension: 'html', mimeType: 'text/html;charset=utf-8' },
+        json: { extension: 'json', mimeType: 'application/json;charset=utf-8' }
+    };
+
+    /**
+     * @param {Object} [dependencies]
+     * @param {I18nService} [dependencies.i18n] - Labels and timestamp formatting
+     * @param {RichMessageService} [dependencies.richMessageService] - Reads rich and attachment payloads
+     * @param {MessageFormatter} [dependencies.messageFormatter] - Escapes and formats text in HTML transcripts
+     */
+    constructor({
+        i18n = new I18nService(),
+        richMessageService = new RichMessageService(),
+        messageFormatter = new MessageFormatter()
+    } = {}) {
+        this.i18n = i18n;
+        this.richMessageService = richMessageService;
+        this.messageFormatter = messageFormatter;
+    }
+
+    /**
+     * @param {Array} messages - Messages in chronological order
+     * @param {string} format - 'text', 'html' or 'json'
+     * @param {Object} [context]
+     * @param {Object} [context.room] - Current room, for its ID and name
+     * @param {Date} [context.exportedAt] - Export time
+     * @returns {Object} - { format, fileName, mimeType, content }
+     */
+    build(messages, format, { room = null, exportedAt = new Date() } = {}) {
+        const type = this.getFormat(format);
+        const transcript = {
+            room: room ? { id: room.id ?? null, name: room.name || null } : null,
+            exportedAt: exportedAt.toISOString(),
+            locale: this.i18n.getLocale(),
+            messages: messages.filter(message => this.isSent(message)).map(message => this.toEntry(message))
+        };
+
+        const renderers = {
+            text: () => this.renderText(transcript),
+            html: () => this.renderHTML(transcript),
+            json: () => JSON.stringify(transcript, null, 2)
+        };
+
+        return {
+            format,
+            fileName: this.getFileName(transcript, type.extension),
+            mimeType: type.mimeType,
+            content: renderers[format]()
+        };
+    }
+
+    /**
+     * @param {string} format - 'text', 'html' or 'json'
+     * @returns {Object} - { extension, mimeType }
+     */
+    getFormat(format) {
+        const type = TranscriptService.FORMATS[format];
+        if (!type) {
+            throw new Error(`Unsupported transcript format "${format}"`);
+        }
+        return type;
+    }
+
+    /**
+     * Optimistic messages that are still pending or failed are not part of the conversation
+     */
+    isSent(message) {
+        return message.status !== 'pending' && message.status !== 'failed';
+    }
+
+    /**
+     * @returns {Object} - { id, timestamp, sender: { name, role }, type, text, attachment }
+     */
+    toEntry(message) {
+        const role = message.type === 'system_event'
+            ? 'system'
+            : (message.user_extras?.is_customer === true ? 'customer' : 'agent');
+        const timestamp = new Date(message.timestamp);
+
+        const attachment = message.is_deleted ? null : this.getAttachment(message);
+        let text;
+        if (message.is_deleted) {
+            text = this.i18n.t('message.deleted');
+        } else if (attachment) {
+            text = attachment.caption;
+        } else {
+            text = this.richMessageService.parse(message)?.text ?? message.message ?? '';
+        }
+
+        return {
+            id: message.id ?? null,
+            timestamp: isNaN(timestamp.getTime()) ? null : timestamp.toISOString(),
+            sender: {
+                name: role === 'system' ? null : (message.username || this.i18n.t(role === 'customer' ? 'message.you' : 'message.agent')),
+                role
+            },
+            type: message.type || 'text',
+            text: text || '',
+            attachment: attachment ? { name: attachment.name, url: attachment.url, size: attachment.size } : null
+        };
+    }
+
+    /**
+     * @returns {Object|null} - { name, url, size, caption } of a file message
+     */
+    getAttachment(message) {
+        if (message.type !== 'custom' && message.type !== 'file_attachment') return null;
+
+        const payload = this.richMessageService.getPayload(message);
+        const content = payload?.content || payload;
+        const url = this.richMessageService.sanitizeURL(content?.url);
+        if (!url) return null;
+
+        return {
+            name: content.file_name || content.filename || url.split('/').pop().split('?')[0] || url,
+            url,
+            size: content.size ?? null,
+            caption: content.caption || ''
+        };
+    }
+
+    getFileName(transcript, extension) {
+        const date = transcript.exportedAt.slice(0, 10);
+        const room = transcript.room?.id != null ? `-${transcript.room.id}` : '';
+        return `transcript${room}-${date}.${extension}`;
+    }
+
+    // ==================== RENDERERS ====================
+
+    renderText(transcript) {
+        const lines = [
+            this.i18n.t('transcript.title'),
+            ...this.getHeaderLines(transcript),
+            ''
+        ];
+
+        transcript.messages.forEach(entry => {
+            const time = entry.timestamp ? `[${this.i18n.formatDateTime(entry.timestamp)}] ` : '';
+            const sender = entry.sender.name ? `${entry.sender.name}: ` : '';
+            const attachment = entry.attachment
+                ? `${this.i18n.t('transcript.attachment', { name: entry.attachment.name })} <${entry.attachment.url}>`
+                : '';
+            const body = [entry.text, attachment].filter(Boolean).join('\n');
+
+            // Continuation lines are indented so every message starts a new line
+            lines.push(`${time}${sender}${body.replace(/\n/g, '\n    ')}`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Self-contained page: inline styles only, every value escaped, links open without an opener
+     */
+    renderHTML(transcript) {
+        const escape = (text) => this.messageFormatter.escape(text);
+        const title = this.i18n.t('transcript.title');
+
+        const items = transcript.messages.map(entry => {
+            const time = entry.timestamp
+                ? `<time datetime="${escape(entry.timestamp)}">${escape(this.i18n.formatDateTime(entry.timestamp))}</time>`
+                : '';
+            const sender = entry.sender.name ? `<strong>${escape(entry.sender.name)}</strong>` : '';
+            const text = entry.text ? `<div class="text">${this.messageFormatter.format(entry.text)}</div>` : '';
+            const attachment = entry.attachment
+                ? `<div class="attachment"><a href="${escape(entry.attachment.url)}" target="_blank" rel="${MessageFormatter.LINK_REL}">${escape(this.i18n.t('transcript.attachment', { name: entry.attachment.name }))}</a></div>`
+                : '';
+            return `<li class="${entry.sender.role}"><div class="meta">${sender} ${time}</div>${text}${attachment}</li>`;
+        });
+
+        return `<!DOCTYPE html>
+<html lang="${escape(transcript.locale)}" dir="${this.i18n.getDirection()}">
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; max-width: 720px; margin: 24px auto; padding: 0 16px; }
+header p { color: #666; margin: 4px 0; }
+ul { list-style: none; padding: 0; }
+li { padding: 10px 0; border-bottom: 1px solid #e0e0e0; }
+li.system { color: #666; font-style: italic; }
+.meta { font-size: 13px; color: #666; margin-bottom: 4px; }
+.meta strong { color: #333; }
+.text { unicode-bidi: plaintext; }
+.attachment { margin-top: 4px; }
+pre { background: #f5f5f5; padding: 8px; overflow-x: auto; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escape(title)}</h1>
+${this.getHeaderLines(transcript).map(line => `<p>${escape(line)}</p>`).join('\n')}
+</header>
+<ul>
+${items.join('\n')}
+</ul>
+</body>
+</html>
+`;
+    }
+
+    getHeaderLines(transcript) {
+        const lines = [];
+        const room = transcript.room?.name || transcript.room?.id;
+        if (room != null) {
+            lines.push(this.i18n.t('transcript.room', { name: room }));
+        }
+        lines.push(this.i18n.t('transcript.exportedAt', { date: this.i18n.formatDateTime(transcript.exportedAt) }));
+        return lines;
+    }
+}
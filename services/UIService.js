@@ -3,100 +3,351 @@
  * Follows Single Responsibility Principle
  */
 class UIService {
-    constructor(theme, eventEmitter) {
-        this.theme = theme;
+    /**
+     * Idle time after the last keystroke before a "stopped typing" signal is sent
+     */
+    static TYPING_IDLE_TIMEOUT = 3000;
+
+    /**
+     * Distance in px from the top of the message list that triggers loading older messages
+     */
+    static HISTORY_SCROLL_THRESHOLD = 48;
+
+    /**
+     * How long the survey "thank you" note stays before the composer comes back
+     */
+    static SURVEY_THANKS_DURATION = 3000;
+
+    /**
+     * How long a notice (e.g. a failed download) stays visible
+     */
+    static NOTICE_DURATION = 5000;
+
+    /**
+     * Transcript formats offered in the header menu
+     */
+    static TRANSCRIPT_FORMATS = ['text', 'html', 'json'];
+
+    /**
+     * Attributes translated through `data-i18n-<attribute>` markers
+     */
+    static TRANSLATED_ATTRIBUTES = ['alt', 'title', 'placeholder', 'aria-label'];
+
+    /**
+     * Icons of file bubbles by AttachmentPolicyService category
+     */
+    static FILE_ICONS = {
+        image: '🖼️',
+        video: '🎥',
+        document: '📄',
+        file: '📎'
+    };
+
+    /**
+     * @param {ThemeService|Object} theme - Theme service, or a `theme` config to build one from
+     * @param {EventEmitter} eventEmitter - Event emitter
+     * @param {Object} [options] - Rendering options
+     * @param {boolean} [options.shadowDom=false] - Render inside a shadow root to isolate styles and IDs
+     * @param {string} [options.instanceId] - Prefix for element IDs so several widgets can share a page
+     * @param {I18nService} [options.i18n] - Translations, formatting and text direction
+     * @param {RichMessageService} [options.richMessageService] - Parser for buttons, card, carousel and quick reply payloads
+     * @param {MessageFormatter} [options.messageFormatter] - Safe formatter for message text
+     * @param {AttachmentPolicyService} [options.attachmentPolicy] - File types offered by the file picker and their categories
+     * @param {boolean} [options.formatMessages=true] - Format message text; false shows it as typed
+     * @param {boolean} [options.search=false] - Show the message search box in the header
+     * @param {boolean} [options.transcript=false] - Offer transcript downloads in the header menu
+     */
+    constructor(theme, eventEmitter, options = {}) {
+        this.themeService = theme instanceof ThemeService ? theme : new ThemeService(theme);
         this.eventEmitter = eventEmitter;
+        this.options = options;
+        this.i18n = options.i18n || new I18nService();
+        this.richMessageService = options.richMessageService || new RichMessageService();
+        this.messageFormatter = options.messageFormatter || new MessageFormatter();
+        this.attachmentPolicy = options.attachmentPolicy || new AttachmentPolicyService({}, this.i18n);
         this.container = null;
+        this.host = null;
+        this.root = document;
+        this.styleElement = null;
+        this.domListeners = [];
+        this.isComposing = false;
+        this.typingTimer = null;
+        this.surveyTimer = null;
+        this.noticeTimer = null;
+        this.messageList = null;
+        this.search = null;
     }
 
     createWidget() {
         this.container = document.createElement('div');
-        this.container.id = 'qiscus-widget-container';
+        this.container.id = this.elementId('widget-container');
         this.container.className = 'qiscus-widget-container';
         this.container.innerHTML = this.getWidgetHTML();
-        document.body.appendChild(this.container);
+        this.applyDirection();
+        this.applyTheme();
+
+        if (this.options.shadowDom && this.supportsShadowDom()) {
+            this.host = document.createElement('div');
+            this.host.id = this.elementId('widget-host');
+            this.root = this.host.attachShadow({ mode: 'open' });
+            this.root.appendChild(this.container);
+            document.body.appendChild(this.host);
+        } else {
+            if (this.options.shadowDom) {
+                console.warn('[UIService] Shadow DOM is not supported, rendering into the document');
+            }
+            this.root = document;
+            document.body.appendChild(this.container);
+        }
+
+        this.messageList = new MessageListView(this.getElement('messages'), {
+            renderItem: (message) => this.highlightSearchMatches(this.renderMessage(message), message),
+            getKey: (message) => this.getMessageKey(message),
+            emptyHTML: `<div class="qiscus-empty-state"><p data-i18n="chat.empty">${this.escapeHtml(this.t('chat.empty'))}</p></div>`
+        });
+
         this.injectStyles();
         this.attachEventListeners();
     }
 
+    supportsShadowDom() {
+        return typeof document.body.attachShadow === 'function';
+    }
+
+    /**
+     * Build the DOM ID of a widget element for this instance
+     * The default instance keeps the plain `qiscus-<name>` IDs
+     * @param {string} name - Element name, e.g. 'messages'
+     * @returns {string} - e.g. 'qiscus-messages' or 'qiscus-sales-messages'
+     */
+    elementId(name) {
+        return this.options.instanceId
+            ? `qiscus-${this.options.instanceId}-${name}`
+            : `qiscus-${name}`;
+    }
+
+    /**
+     * Find a widget element within the render root (document or shadow root)
+     * @param {string} name - Element name, e.g. 'messages'
+     * @returns {HTMLElement|null}
+     */
+    getElement(name) {
+        return this.root.getElementById(this.elementId(name));
+    }
+
+    /**
+     * Expose the theme as CSS custom properties on the container,
+     * so instances with different themes can share the same stylesheet
+     */
+    applyThemeVariables() {
+        if (!this.container) return;
+        Object.entries(this.themeService.getVariables()).forEach(([property, value]) => {
+            this.container.style.setProperty(property, value);
+        });
+    }
+
+    /**
+     * Apply the current theme in place: variables, color scheme, placement and icons
+     */
+    applyTheme() {
+        if (!this.container) return;
+        this.applyThemeVariables();
+
+        const scheme = this.themeService.isDark() ? 'dark' : 'light';
+        this.container.setAttribute('data-theme', scheme);
+        this.container.style.colorScheme = scheme;
+        this.applyPlacement();
+
+        const icons = this.themeService.getIcons();
+        this.container.querySelectorAll('[data-icon]').forEach(image => {
+            image.setAttribute('src', icons[image.getAttribute('data-icon')]);
+        });
+    }
+
+    applyPlacement() {
+        if (!this.container) return;
+        this.container.setAttribute('data-placement', this.themeService.getPlacement(this.i18n.getDirection()));
+    }
+
+    /**
+     * Shorthand for the active translation of a catalog key
+     */
+    t(key, params) {
+        return this.i18n.t(key, params);
+    }
+
+    /**
+     * Set the language and text direction of the widget; RTL locales mirror the layout
+     */
+    applyDirection() {
+        if (!this.container) return;
+        this.container.setAttribute('lang', this.i18n.getLocale());
+        this.container.setAttribute('dir', this.i18n.getDirection());
+        this.applyPlacement();
+    }
+
+    /**
+     * Re-translate the rendered widget after the locale changed
+     * Static texts carry `data-i18n` (text) or `data-i18n-<attribute>` markers;
+     * messages are rendered again for their labels and timestamps.
+     */
+    applyLocale() {
+        if (!this.container) return;
+        this.applyDirection();
+
+        this.container.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+        UIService.TRANSLATED_ATTRIBUTES.forEach(attribute => {
+            this.container.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+
+        this.renderSearchCount();
+        this.messageList?.reset(this.messageList.items);
+    }
+
     getWidgetHTML() {
+        const icons = this.themeService.getIcons();
         return `
-            <div class="qiscus-chat-button hidden" id="qiscus-chat-button">
-                <img src="https://cdn-icons-png.flaticon.com/128/1041/1041916.png" alt="Chat" width="28" height="28" />
-                <span class="qiscus-unread-badge" id="qiscus-unread-badge">0</span>
+            <div class="qiscus-chat-button hidden" id="${this.elementId('chat-button')}">
+                <img src="${this.escapeAttribute(icons.launcher)}" data-icon="launcher" alt="${this.escapeAttribute(this.t('chat.button'))}" data-i18n-alt="chat.button" width="28" height="28" />
+                <span class="qiscus-unread-badge" id="${this.elementId('unread-badge')}">0</span>
             </div>
             
-            <div class="qiscus-chat-window" id="qiscus-chat-window">
+            <div class="qiscus-chat-window" id="${this.elementId('chat-window')}">
                 <div class="qiscus-header">
                     <div class="qiscus-header-info">
                         <div class="qiscus-avatar">
-                            <img src="https://cdn-icons-png.flaticon.com/128/3135/3135715.png" alt="Avatar" width="32" height="32" />
+                            <img src="${this.escapeAttribute(icons.avatar)}" data-icon="avatar" alt="${this.escapeAttribute(this.t('header.avatar'))}" data-i18n-alt="header.avatar" width="32" height="32" />
                         </div>
                         <div class="qiscus-header-text">
-                            <div class="qiscus-header-title">Customer Service</div>
-                            <div class="qiscus-header-subtitle" id="qiscus-typing-indicator"></div>
+                            <div class="qiscus-header-title" data-i18n="header.title">${this.escapeHtml(this.t('header.title'))}</div>
+                            <div class="qiscus-header-subtitle" id="${this.elementId('typing-indicator')}"></div>
                         </div>
                     </div>
-                    <button class="qiscus-close-btn" id="qiscus-close-btn">
-                        ✕
-                    </button>
+                    <div class="qiscus-header-actions">
+                        ${this.options.search ? `
+                            <button type="button" class="qiscus-header-btn" id="${this.elementId('search-btn')}" aria-label="${this.escapeAttribute(this.t('search.open'))}" data-i18n-aria-label="search.open">
+                                🔍
+                            </button>
+                        ` : ''}
+                        ${this.options.transcript ? `
+                            <button type="button" class="qiscus-header-btn" id="${this.elementId('menu-btn')}" aria-haspopup="menu" aria-expanded="false" aria-label="${this.escapeAttribute(this.t('header.menu'))}" data-i18n-aria-label="header.menu">
+                                ⋮
+                            </button>
+                            <div class="qiscus-header-menu" id="${this.elementId('header-menu')}" role="menu" style="display: none;">
+                                ${UIService.TRANSCRIPT_FORMATS.map(format => `
+                                    <button type="button" role="menuitem" data-transcript-format="${format}" data-i18n="transcript.download.${format}">${this.escapeHtml(this.t(`transcript.download.${format}`))}</button>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                        <button class="qiscus-close-btn" id="${this.elementId('close-btn')}" aria-label="${this.escapeAttribute(this.t('header.close'))}" data-i18n-aria-label="header.close">
+                            ✕
+                        </button>
+                    </div>
+                </div>
+                
+                ${this.options.search ? `
+                    <div class="qiscus-search-bar" id="${this.elementId('search-bar')}" role="search" style="display: none;">
+                        <input 
+                            type="search" 
+                            id="${this.elementId('search-input')}" 
+                            class="qiscus-search-input"
+                            placeholder="${this.escapeAttribute(this.t('search.placeholder'))}"
+                            data-i18n-placeholder="search.placeholder"
+                            aria-label="${this.escapeAttribute(this.t('search.placeholder'))}"
+                            data-i18n-aria-label="search.placeholder"
+                            dir="auto"
+                        />
+                        <span class="qiscus-search-count" id="${this.elementId('search-count')}" aria-live="polite"></span>
+                        <button type="button" data-search-action="next" aria-label="${this.escapeAttribute(this.t('search.next'))}" data-i18n-aria-label="search.next">↑</button>
+                        <button type="button" data-search-action="previous" aria-label="${this.escapeAttribute(this.t('search.previous'))}" data-i18n-aria-label="search.previous">↓</button>
+                        <button type="button" data-search-action="close" aria-label="${this.escapeAttribute(this.t('search.close'))}" data-i18n-aria-label="search.close">✕</button>
+                    </div>
+                ` : ''}
+                
+                <form class="qiscus-prechat" id="${this.elementId('prechat-form')}" novalidate></form>
+                
+                <div class="qiscus-history-loader" id="${this.elementId('history-loader')}" style="display: none;">
+                    <span class="qiscus-spinner"></span>
+                </div>
+                
+                <div class="qiscus-messages" id="${this.elementId('messages')}"></div>
+                
+                <div class="qiscus-outbox-status" id="${this.elementId('outbox-status')}" style="display: none;"></div>
+                
+                <div class="qiscus-notice" id="${this.elementId('notice')}" role="alert" style="display: none;"></div>
+                
+                <form class="qiscus-survey" id="${this.elementId('survey')}" novalidate></form>
+                
+                <div class="qiscus-resolved-banner" id="${this.elementId('resolved-banner')}" style="display: none;">
+                    <span data-i18n="resolved.banner">${this.escapeHtml(this.t('resolved.banner'))}</span>
+                    <button type="button" data-action="start-new" data-i18n="resolved.startNew">${this.escapeHtml(this.t('resolved.startNew'))}</button>
                 </div>
                 
-                <div class="qiscus-messages" id="qiscus-messages">
-                    <div class="qiscus-empty-state"><p>Start a conversation</p></div>
+                <div class="qiscus-drop-overlay" aria-hidden="true">
+                    <span data-i18n="composer.drop">${this.escapeHtml(this.t('composer.drop'))}</span>
                 </div>
                 
                 <div class="qiscus-input-area">
-                    <button class="qiscus-attach-btn" id="qiscus-attach-btn" title="Attach file">
+                    <button class="qiscus-attach-btn" id="${this.elementId('attach-btn')}" title="${this.escapeAttribute(this.t('composer.attach'))}" data-i18n-title="composer.attach">
                         📎
                     </button>
                     <input 
                         type="text" 
-                        id="qiscus-message-input" 
-                        placeholder="Type a message..." 
+                        id="${this.elementId('message-input')}" 
+                        placeholder="${this.escapeAttribute(this.t('composer.placeholder'))}"
+                        data-i18n-placeholder="composer.placeholder"
+                        dir="auto"
                         class="qiscus-message-input"
                     />
-                    <button class="qiscus-send-btn" id="qiscus-send-btn">
-                        <img src="https://cdn-icons-png.flaticon.com/128/3682/3682321.png" alt="Send" width="20" height="20" />
+                    <button class="qiscus-send-btn" id="${this.elementId('send-btn')}">
+                        <img src="${this.escapeAttribute(icons.send)}" data-icon="send" alt="${this.escapeAttribute(this.t('composer.send'))}" data-i18n-alt="composer.send" width="20" height="20" />
                     </button>
                 </div>
                 
                 <input 
                     type="file" 
-                    id="qiscus-file-input" 
+                    id="${this.elementId('file-input')}" 
                     style="display: none;" 
-                    accept="image/*,video/*,.pdf,.doc,.docx,.xls,.xlsx"
+                    accept="${this.escapeAttribute(this.attachmentPolicy.getAcceptAttribute())}"
+                    multiple
                 />
-                
-                <div class="qiscus-upload-progress" id="qiscus-upload-progress" style="display: none;">
-                    <div class="qiscus-upload-info">
-                        <span id="qiscus-upload-filename">Uploading...</span>
-                        <span id="qiscus-upload-percent">0%</span>
-                    </div>
-                    <div class="qiscus-progress-bar">
-                        <div class="qiscus-progress-fill" id="qiscus-progress-fill"></div>
-                    </div>
-                </div>
             </div>
         `;
     }
 
     injectStyles() {
+        // Stop inherited host page styles (font, color, line-height) from reaching the shadow tree
+        const hostStyles = this.isShadowRoot() ? ':host { all: initial; }' : '';
+
         const style = document.createElement('style');
+        style.setAttribute('data-qiscus-widget', '');
         style.textContent = `
+            ${hostStyles}
+
             .qiscus-widget-container {
                 position: fixed;
-                bottom: 20px;
-                right: 20px;
-                z-index: 9999;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                bottom: var(--qiscus-offset-y);
+                right: var(--qiscus-offset-x);
+                z-index: var(--qiscus-z-index);
+                font-family: var(--qiscus-font-family);
+                font-size: var(--qiscus-font-size);
+                color: var(--qiscus-text-color);
+            }
+            
+            .qiscus-widget-container[data-placement="left"] {
+                right: auto;
+                left: var(--qiscus-offset-x);
             }
             
             .qiscus-chat-button {
                 width: 60px;
                 height: 60px;
                 border-radius: 50%;
-                background: ${this.theme.primaryColor};
+                background: var(--qiscus-primary-color);
                 box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
                 display: flex;
                 align-items: center;
@@ -112,7 +363,7 @@ class UIService {
             .qiscus-unread-badge {
                 position: absolute;
                 top: -5px;
-                right: -5px;
+                inset-inline-end: -5px;
                 background: #ff4757;
                 color: white;
                 border-radius: 50%;
@@ -131,22 +382,28 @@ class UIService {
                 position: absolute;
                 bottom: 80px;
                 right: 0;
-                width: 380px;
-                height: 600px;
-                background: white;
-                border-radius: 12px;
+                width: var(--qiscus-window-width);
+                height: var(--qiscus-window-height);
+                background: var(--qiscus-background);
+                border-radius: var(--qiscus-radius);
                 box-shadow: 0 8px 32px rgba(0, 0, 0, 0.15);
                 display: none;
                 flex-direction: column;
                 overflow: hidden;
             }
             
+            .qiscus-widget-container[data-placement="left"] .qiscus-chat-window {
+                right: auto;
+                left: 0;
+            }
+            
             .qiscus-widget-container.open .qiscus-chat-window { display: flex; }
             .qiscus-widget-container.open .qiscus-chat-button { display: none; }
             
             .qiscus-header {
-                background: ${this.theme.primaryColor};
-                color: white;
+                position: relative;
+                background: var(--qiscus-primary-color);
+                color: var(--qiscus-on-primary-color);
                 padding: 16px;
                 display: flex;
                 align-items: center;
@@ -192,7 +449,7 @@ class UIService {
                 display: flex;
                 align-items: center;
                 justify-content: center;
-                color: white;
+                color: var(--qiscus-on-primary-color);
                 font-size: 24px;
                 font-weight: 300;
                 line-height: 1;
@@ -204,11 +461,148 @@ class UIService {
                 opacity: 0.8;
             }
             
+            .qiscus-header-actions {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+            }
+            
+            .qiscus-header-btn {
+                background: none;
+                border: none;
+                cursor: pointer;
+                width: 32px;
+                height: 32px;
+                font-size: 16px;
+                line-height: 1;
+                color: var(--qiscus-on-primary-color);
+            }
+            
+            .qiscus-header-btn:hover {
+                opacity: 0.8;
+            }
+            
+            .qiscus-header-menu {
+                position: absolute;
+                top: calc(100% - 8px);
+                inset-inline-end: 12px;
+                z-index: 2;
+                display: flex;
+                flex-direction: column;
+                min-width: 200px;
+                padding: 4px 0;
+                background: var(--qiscus-background);
+                border: 1px solid var(--qiscus-border-color);
+                border-radius: 8px;
+                box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+            }
+            
+            .qiscus-header-menu button {
+                padding: 10px 16px;
+                border: none;
+                background: none;
+                color: var(--qiscus-text-color);
+                font: inherit;
+                text-align: start;
+                cursor: pointer;
+            }
+            
+            .qiscus-header-menu button:hover:not(:disabled) {
+                background: var(--qiscus-surface-alt);
+            }
+            
+            .qiscus-header-menu button:disabled {
+                opacity: 0.5;
+                cursor: progress;
+            }
+            
+            .qiscus-search-bar {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                padding: 8px 12px;
+                background: var(--qiscus-surface-alt);
+                border-bottom: 1px solid var(--qiscus-border-color);
+            }
+            
+            .qiscus-search-input {
+                flex: 1;
+                min-width: 0;
+                padding: 6px 10px;
+                border: 1px solid var(--qiscus-border-color);
+                border-radius: 16px;
+                background: var(--qiscus-background);
+                color: var(--qiscus-text-color);
+                font: inherit;
+                outline: none;
+            }
+            
+            .qiscus-search-input:focus {
+                border-color: var(--qiscus-primary-color);
+            }
+            
+            .qiscus-search-count {
+                font-size: 12px;
+                color: var(--qiscus-text-muted);
+                white-space: nowrap;
+            }
+            
+            .qiscus-search-bar button {
+                background: none;
+                border: none;
+                cursor: pointer;
+                width: 28px;
+                height: 28px;
+                border-radius: 50%;
+                color: var(--qiscus-text-secondary);
+                font-size: 14px;
+            }
+            
+            .qiscus-search-bar button:hover:not(:disabled) {
+                background: var(--qiscus-border-color);
+            }
+            
+            .qiscus-search-bar button:disabled {
+                opacity: 0.4;
+                cursor: default;
+            }
+            
+            mark.qiscus-search-match {
+                background: #fff176;
+                color: #333333;
+                border-radius: 2px;
+            }
+            
+            mark.qiscus-search-match.current {
+                background: #ffb74d;
+            }
+            
+            .qiscus-history-loader {
+                display: flex;
+                justify-content: center;
+                padding: 8px 0;
+                background: var(--qiscus-surface);
+            }
+            
+            .qiscus-spinner {
+                width: 18px;
+                height: 18px;
+                border: 2px solid var(--qiscus-border-color);
+                border-top-color: var(--qiscus-primary-color);
+                border-radius: 50%;
+                animation: qiscus-spin 0.8s linear infinite;
+            }
+            
+            @keyframes qiscus-spin {
+                to { transform: rotate(360deg); }
+            }
+            
             .qiscus-messages {
+                position: relative;
                 flex: 1;
                 overflow-y: auto;
                 padding: 16px;
-                background: #f9f9f9;
+                background: var(--qiscus-surface);
             }
             
             .qiscus-empty-state {
@@ -216,11 +610,11 @@ class UIService {
                 align-items: center;
                 justify-content: center;
                 height: 100%;
-                color: #999;
+                color: var(--qiscus-text-muted);
             }
             
             .qiscus-message {
-                margin-bottom: 12px;
+                padding-bottom: 12px;
                 display: flex;
                 flex-direction: column;
             }
@@ -230,38 +624,137 @@ class UIService {
             .qiscus-message-sender {
                 font-size: 12px;
                 font-weight: 600;
-                color: #666;
+                color: var(--qiscus-text-secondary);
                 margin-bottom: 4px;
-                padding-left: 4px;
+                padding-inline-start: 4px;
             }
             
             .qiscus-message-bubble {
                 max-width: 70%;
                 padding: 10px 14px;
-                border-radius: 12px;
+                border-radius: var(--qiscus-radius);
                 word-wrap: break-word;
+                unicode-bidi: plaintext;
+            }
+            
+            .qiscus-message-bubble a {
+                color: inherit;
+                text-decoration: underline;
+                word-break: break-all;
+            }
+            
+            .qiscus-message-bubble code {
+                padding: 1px 4px;
+                border-radius: 4px;
+                background: rgba(0, 0, 0, 0.08);
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 0.9em;
+            }
+            
+            .qiscus-message-bubble pre {
+                margin: 4px 0;
+                padding: 8px;
+                border-radius: 6px;
+                background: rgba(0, 0, 0, 0.08);
+                overflow-x: auto;
+                white-space: pre;
+                unicode-bidi: isolate;
+                direction: ltr;
+            }
+            
+            .qiscus-message-bubble pre code {
+                padding: 0;
+                background: none;
             }
             
             .qiscus-message.left .qiscus-message-bubble {
-                background: ${this.theme.secondaryColor};
-                color: #333;
+                background: var(--qiscus-secondary-color);
+                color: var(--qiscus-on-secondary-color);
             }
             
             .qiscus-message.right .qiscus-message-bubble {
-                background: ${this.theme.primaryColor};
-                color: white;
+                background: var(--qiscus-primary-color);
+                color: var(--qiscus-on-primary-color);
             }
             
             .qiscus-message-time {
                 font-size: 11px;
-                color: #999;
+                color: var(--qiscus-text-muted);
+                margin-top: 4px;
+            }
+            
+            .qiscus-message.deleted .qiscus-message-bubble {
+                background: transparent !important;
+                color: var(--qiscus-text-muted) !important;
+                border: 1px dashed var(--qiscus-border-color);
+                font-style: italic;
+            }
+            
+            .qiscus-message.pending .qiscus-message-bubble { opacity: 0.6; }
+            .qiscus-message.failed .qiscus-message-bubble { opacity: 0.8; }
+            .qiscus-message-status.failed { color: var(--qiscus-error-color); }
+            .qiscus-message-status.sent,
+            .qiscus-message-status.delivered { letter-spacing: -3px; }
+            .qiscus-message-status.read {
+                letter-spacing: -3px;
+                color: var(--qiscus-primary-color);
+            }
+            
+            .qiscus-message-actions {
+                display: flex;
+                gap: 8px;
                 margin-top: 4px;
             }
             
+            .qiscus-message-actions button {
+                background: none;
+                border: none;
+                padding: 0;
+                color: var(--qiscus-primary-color);
+                font-size: 12px;
+                font-weight: 600;
+                cursor: pointer;
+            }
+            
+            .qiscus-outbox-status {
+                padding: 6px 16px;
+                background: #fff8e1;
+                border-top: 1px solid #ffe082;
+                color: #8d6e00;
+                font-size: 12px;
+            }
+            
+            .qiscus-drop-overlay {
+                position: absolute;
+                inset: 8px;
+                z-index: 3;
+                display: none;
+                align-items: center;
+                justify-content: center;
+                border: 2px dashed var(--qiscus-primary-color);
+                border-radius: var(--qiscus-radius);
+                background: var(--qiscus-background);
+                opacity: 0.92;
+                color: var(--qiscus-primary-color);
+                font-weight: 600;
+                pointer-events: none;
+            }
+            
+            .qiscus-chat-window.dragging .qiscus-drop-overlay {
+                display: flex;
+            }
+            
+            .qiscus-notice {
+                padding: 6px 16px;
+                border-top: 1px solid var(--qiscus-border-color);
+                color: var(--qiscus-error-color);
+                font-size: 12px;
+            }
+            
             .qiscus-input-area {
                 padding: 16px;
-                background: white;
-                border-top: 1px solid #e0e0e0;
+                background: var(--qiscus-background);
+                border-top: 1px solid var(--qiscus-border-color);
                 display: flex;
                 gap: 8px;
             }
@@ -269,20 +762,22 @@ class UIService {
             .qiscus-message-input {
                 flex: 1;
                 padding: 10px 14px;
-                border: 1px solid #e0e0e0;
+                border: 1px solid var(--qiscus-border-color);
                 border-radius: 20px;
                 outline: none;
-                font-size: 14px;
+                font: inherit;
+                background: var(--qiscus-background);
+                color: var(--qiscus-text-color);
             }
             
-            .qiscus-message-input:focus { border-color: ${this.theme.primaryColor}; }
+            .qiscus-message-input:focus { border-color: var(--qiscus-primary-color); }
             
             .qiscus-send-btn {
                 width: 40px;
                 height: 40px;
                 border-radius: 50%;
-                background: ${this.theme.primaryColor};
-                color: white;
+                background: var(--qiscus-primary-color);
+                color: var(--qiscus-on-primary-color);
                 border: none;
                 cursor: pointer;
                 display: flex;
@@ -301,7 +796,7 @@ class UIService {
                 width: 40px;
                 height: 40px;
                 border-radius: 50%;
-                background: #f5f5f5;
+                background: var(--qiscus-surface-alt);
                 border: none;
                 cursor: pointer;
                 display: flex;
@@ -312,71 +807,323 @@ class UIService {
             }
             
             .qiscus-attach-btn:hover {
-                background: #e0e0e0;
+                background: var(--qiscus-border-color);
             }
             
-            .qiscus-upload-progress {
-                padding: 12px 16px;
-                background: #f5f5f5;
-                border-top: 1px solid #e0e0e0;
+            .qiscus-prechat {
+                display: none;
+                flex: 1;
+                flex-direction: column;
+                gap: 12px;
+                padding: 20px 16px;
+                overflow-y: auto;
             }
             
-            .qiscus-upload-info {
-                display: flex;
-                justify-content: space-between;
-                margin-bottom: 8px;
-                font-size: 13px;
-                color: #666;
+            .qiscus-chat-window.prechat-active .qiscus-prechat { display: flex; }
+            .qiscus-chat-window.prechat-active > :not(.qiscus-header):not(.qiscus-prechat) { display: none !important; }
+            
+            .qiscus-prechat-title {
+                margin: 0;
+                font-size: 18px;
+                font-weight: 600;
+                color: var(--qiscus-text-color);
             }
             
-            .qiscus-progress-bar {
-                width: 100%;
-                height: 4px;
-                background: #e0e0e0;
-                border-radius: 2px;
-                overflow: hidden;
+            .qiscus-prechat-description {
+                margin: 0;
+                font-size: 14px;
+                color: var(--qiscus-text-secondary);
             }
             
-            .qiscus-progress-fill {
-                height: 100%;
-                background: ${this.theme.primaryColor};
-                width: 0%;
-                transition: width 0.3s ease;
+            .qiscus-prechat-field {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                font-size: 13px;
+                color: var(--qiscus-text-color);
             }
             
-            .media-message {
-                margin: 8px 0;
+            .qiscus-prechat-field.checkbox {
+                flex-direction: row;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 8px;
             }
             
-            .media-message img,
-            .media-message video {
-                max-width: 300px;
-                max-height: 300px;
+            .qiscus-prechat-field input:not([type="checkbox"]),
+            .qiscus-prechat-field select,
+            .qiscus-prechat-field textarea {
+                padding: 10px 12px;
+                border: 1px solid var(--qiscus-border-color);
                 border-radius: 8px;
-                cursor: pointer;
-                display: block;
+                font: inherit;
+                font-size: 14px;
+                outline: none;
+                background: var(--qiscus-background);
+                color: var(--qiscus-text-color);
             }
             
-            .media-message .file-name {
+            .qiscus-prechat-field input:focus,
+            .qiscus-prechat-field select:focus,
+            .qiscus-prechat-field textarea:focus {
+                border-color: var(--qiscus-primary-color);
+            }
+            
+            .qiscus-prechat-field [aria-invalid="true"] { border-color: var(--qiscus-error-color); }
+            
+            .qiscus-prechat-required { color: var(--qiscus-error-color); }
+            
+            .qiscus-prechat-error {
+                width: 100%;
                 font-size: 12px;
-                color: #666;
-                margin-top: 4px;
+                color: var(--qiscus-error-color);
             }
             
-            .media-message .file-link {
+            .qiscus-prechat-error:empty { display: none; }
+            
+            .qiscus-prechat-submit {
+                padding: 12px;
+                border: none;
+                border-radius: 8px;
+                background: var(--qiscus-primary-color);
+                color: var(--qiscus-on-primary-color);
+                font-size: 14px;
+                font-weight: 600;
+                cursor: pointer;
+            }
+            
+            .qiscus-prechat-submit:disabled {
+                opacity: 0.6;
+                cursor: default;
+            }
+            
+            .qiscus-survey {
+                display: none;
+                flex-direction: column;
+                gap: 10px;
+                padding: 16px;
+                border-top: 1px solid var(--qiscus-border-color);
+                background: var(--qiscus-background);
+            }
+            
+            .qiscus-chat-window.survey-active .qiscus-survey { display: flex; }
+            .qiscus-chat-window.survey-active .qiscus-input-area { display: none; }
+            
+            .qiscus-survey-title,
+            .qiscus-survey-question {
+                font-size: 14px;
+                font-weight: 600;
+                color: var(--qiscus-text-color);
+            }
+            
+            .qiscus-survey-rating,
+            .qiscus-survey-nps {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+            }
+            
+            .qiscus-survey-option {
+                border: none;
+                background: none;
+                font-size: 26px;
+                line-height: 1;
+                cursor: pointer;
+                opacity: 0.5;
+            }
+            
+            .qiscus-survey-option.stars { color: #bdbdbd; opacity: 1; }
+            .qiscus-survey-option.stars.selected { color: #ffb300; }
+            .qiscus-survey-option.emoji.selected { opacity: 1; transform: scale(1.15); }
+            
+            .qiscus-survey-nps button {
+                min-width: 28px;
+                padding: 4px;
+                border: 1px solid var(--qiscus-border-color);
+                border-radius: 6px;
+                background: var(--qiscus-background);
+                color: var(--qiscus-text-color);
+                cursor: pointer;
+                font-size: 12px;
+            }
+            
+            .qiscus-survey-nps button.selected {
+                border-color: var(--qiscus-primary-color);
+                background: var(--qiscus-primary-color);
+                color: var(--qiscus-on-primary-color);
+            }
+            
+            .qiscus-survey textarea {
+                padding: 8px 12px;
+                border: 1px solid var(--qiscus-border-color);
+                border-radius: 8px;
+                font: inherit;
+                font-size: 13px;
+                resize: none;
+                outline: none;
+                background: var(--qiscus-background);
+                color: var(--qiscus-text-color);
+            }
+            
+            .qiscus-survey-error {
+                font-size: 12px;
+                color: var(--qiscus-error-color);
+            }
+            
+            .qiscus-survey-error:empty { display: none; }
+            
+            .qiscus-survey-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+            }
+            
+            .qiscus-survey-actions button {
+                padding: 8px 14px;
+                border-radius: 8px;
+                font-size: 13px;
+                cursor: pointer;
+                border: 1px solid var(--qiscus-primary-color);
+            }
+            
+            .qiscus-survey-actions [data-survey-action="skip"] {
+                background: var(--qiscus-background);
+                color: var(--qiscus-primary-color);
+            }
+            
+            .qiscus-survey-actions [type="submit"] {
+                background: var(--qiscus-primary-color);
+                color: var(--qiscus-on-primary-color);
+            }
+            
+            .qiscus-survey-actions button:disabled {
+                opacity: 0.6;
+                cursor: default;
+            }
+            
+            .qiscus-survey-thanks {
+                font-size: 14px;
+                color: var(--qiscus-text-color);
+                text-align: center;
+            }
+            
+            .qiscus-resolved-banner {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                flex-wrap: wrap;
+                gap: 8px;
+                padding: 10px 16px;
+                background: #e8f5e9;
+                border-top: 1px solid #c8e6c9;
+                color: #2e7d32;
+                font-size: 13px;
+            }
+            
+            .qiscus-resolved-banner button {
+                padding: 6px 12px;
+                border: none;
+                border-radius: 6px;
+                background: var(--qiscus-primary-color);
+                color: var(--qiscus-on-primary-color);
+                font-size: 12px;
+                cursor: pointer;
+            }
+            
+            .qiscus-resolved-banner button:disabled {
+                opacity: 0.6;
+                cursor: default;
+            }
+            
+            .qiscus-widget-container[data-theme="dark"] .qiscus-outbox-status {
+                background: #332b00;
+                border-top-color: #5c4d00;
+                color: #ffd54f;
+            }
+            
+            .qiscus-widget-container[data-theme="dark"] .qiscus-resolved-banner {
+                background: #1b3320;
+                border-top-color: #2e5233;
+                color: #a5d6a7;
+            }
+            
+            .qiscus-input-area.disabled {
+                opacity: 0.5;
+            }
+            
+            .qiscus-upload-progress {
+                width: 200px;
+                max-width: 100%;
+                margin-top: 4px;
+            }
+            
+            .qiscus-upload-info {
+                display: flex;
+                justify-content: space-between;
+                gap: 8px;
+                margin-bottom: 4px;
+                font-size: 12px;
+                color: var(--qiscus-text-secondary);
+            }
+            
+            .qiscus-upload-info button {
+                background: none;
+                border: none;
+                padding: 0;
+                color: var(--qiscus-primary-color);
+                font-size: 12px;
+                font-weight: 600;
+                cursor: pointer;
+            }
+            
+            .qiscus-progress-bar {
+                width: 100%;
+                height: 4px;
+                background: var(--qiscus-border-color);
+                border-radius: 2px;
+                overflow: hidden;
+            }
+            
+            .qiscus-progress-fill {
+                height: 100%;
+                background: var(--qiscus-primary-color);
+                width: 0%;
+                transition: width 0.3s ease;
+            }
+            
+            .media-message {
+                margin: 8px 0;
+            }
+            
+            .media-message img,
+            .media-message video {
+                max-width: 300px;
+                max-height: 300px;
+                border-radius: 8px;
+                cursor: pointer;
+                display: block;
+            }
+            
+            .media-message .file-name {
+                font-size: 12px;
+                color: var(--qiscus-text-secondary);
+                margin-top: 4px;
+            }
+            
+            .media-message .file-link {
                 display: flex;
                 align-items: center;
                 gap: 12px;
                 padding: 12px;
-                background: #f5f5f5;
+                background: var(--qiscus-surface-alt);
                 border-radius: 8px;
                 text-decoration: none;
-                color: #333;
+                color: var(--qiscus-text-color);
                 transition: background 0.2s ease;
             }
             
             .media-message .file-link:hover {
-                background: #e0e0e0;
+                background: var(--qiscus-border-color);
             }
             
             .media-message .file-icon {
@@ -394,7 +1141,126 @@ class UIService {
             
             .media-message .file-info .file-size {
                 font-size: 12px;
-                color: #999;
+                color: var(--qiscus-text-muted);
+            }
+            
+            .qiscus-rich-group {
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                max-width: 100%;
+            }
+            
+            .qiscus-message.left .qiscus-rich-group { align-items: flex-start; }
+            
+            .qiscus-message-bubble.qiscus-rich {
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+            }
+            
+            .qiscus-rich-buttons {
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+            }
+            
+            .qiscus-rich-button {
+                padding: 8px 12px;
+                border: 1px solid var(--qiscus-primary-color);
+                border-radius: 8px;
+                background: var(--qiscus-background);
+                color: var(--qiscus-primary-color);
+                font: inherit;
+                font-size: 13px;
+                font-weight: 600;
+                cursor: pointer;
+            }
+            
+            .qiscus-rich-button:hover,
+            .qiscus-quick-reply:hover {
+                background: var(--qiscus-primary-color);
+                color: var(--qiscus-on-primary-color);
+            }
+            
+            .qiscus-rich-cards.card .qiscus-rich-card { width: 240px; }
+            
+            .qiscus-rich-cards.carousel {
+                display: flex;
+                gap: 8px;
+                max-width: 100%;
+                overflow-x: auto;
+                scroll-snap-type: x mandatory;
+                padding-bottom: 4px;
+            }
+            
+            .qiscus-rich-cards.carousel .qiscus-rich-card {
+                flex: 0 0 220px;
+                scroll-snap-align: start;
+            }
+            
+            .qiscus-rich-card {
+                display: flex;
+                flex-direction: column;
+                border: 1px solid var(--qiscus-border-color);
+                border-radius: var(--qiscus-radius);
+                background: var(--qiscus-background);
+                overflow: hidden;
+            }
+            
+            .qiscus-rich-card-body {
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+                padding-bottom: 10px;
+            }
+            
+            .qiscus-rich-card-body.actionable { cursor: pointer; }
+            
+            .qiscus-rich-card-body img {
+                width: 100%;
+                height: 130px;
+                object-fit: cover;
+                display: block;
+            }
+            
+            .qiscus-rich-card-title,
+            .qiscus-rich-card-description {
+                padding: 0 12px;
+            }
+            
+            .qiscus-rich-card-body img + .qiscus-rich-card-title { margin-top: 6px; }
+            .qiscus-rich-card-body > :first-child:not(img) { margin-top: 10px; }
+            
+            .qiscus-rich-card-title {
+                font-weight: 600;
+                color: var(--qiscus-text-color);
+            }
+            
+            .qiscus-rich-card-description {
+                font-size: 13px;
+                color: var(--qiscus-text-secondary);
+            }
+            
+            .qiscus-rich-card .qiscus-rich-buttons {
+                padding: 0 12px 12px;
+            }
+            
+            .qiscus-quick-replies {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+            }
+            
+            .qiscus-quick-reply {
+                padding: 6px 12px;
+                border: 1px solid var(--qiscus-primary-color);
+                border-radius: 16px;
+                background: var(--qiscus-background);
+                color: var(--qiscus-primary-color);
+                font: inherit;
+                font-size: 13px;
+                cursor: pointer;
             }
             
             @media (max-width: 480px) {
@@ -404,96 +1270,939 @@ class UIService {
                 }
             }
         `;
-        document.head.appendChild(style);
+
+        // Inside a shadow root the styles are scoped to the widget only
+        if (this.isShadowRoot()) {
+            this.root.insertBefore(style, this.root.firstChild);
+        } else {
+            document.head.appendChild(style);
+        }
+        this.styleElement = style;
+    }
+
+    isShadowRoot() {
+        return this.root !== document;
+    }
+
+    /**
+     * Add a DOM event listener that is tracked so destroy() can detach it
+     * @param {EventTarget|null} target - Element, document or window
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     */
+    listen(target, type, handler, options) {
+        if (!target) return;
+        target.addEventListener(type, handler, options);
+        this.domListeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    attachEventListeners() {
+        const chatButton = this.getElement('chat-button');
+        this.listen(chatButton, 'click', () => {
+            this.eventEmitter.emit('ui:chatButtonClick');
+        });
+
+        const closeBtn = this.getElement('close-btn');
+        this.listen(closeBtn, 'click', () => {
+            this.eventEmitter.emit('ui:closeClick');
+        });
+
+        // Header menu: transcript downloads
+        const menuButton = this.getElement('menu-btn');
+        this.listen(menuButton, 'click', (e) => {
+            e.stopPropagation();
+            this.toggleHeaderMenu();
+        });
+
+        this.listen(this.getElement('header-menu'), 'click', (e) => {
+            const format = e.target.closest('[data-transcript-format]')?.getAttribute('data-transcript-format');
+            if (!format) return;
+            this.toggleHeaderMenu(false);
+            this.eventEmitter.emit('ui:exportTranscript', format);
+        });
+
+        // Clicks elsewhere and Escape close the menu; in a shadow root, clicks are retargeted to the host
+        if (menuButton) {
+            this.listen(document, 'click', (e) => {
+                if (!e.composedPath().includes(this.getElement('header-menu'))) {
+                    this.toggleHeaderMenu(false);
+                }
+            });
+            this.listen(this.container, 'keydown', (e) => {
+                if (e.key === 'Escape') this.toggleHeaderMenu(false);
+            });
+        }
+
+        // Message search: typing searches, Enter / Shift+Enter step through matches, Escape closes
+        this.listen(this.getElement('search-btn'), 'click', () => {
+            this.openSearch();
+        });
+
+        const searchInput = this.getElement('search-input');
+        this.listen(searchInput, 'input', () => {
+            this.eventEmitter.emit('ui:searchInput', searchInput.value);
+        });
+        this.listen(searchInput, 'keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.eventEmitter.emit(e.shiftKey ? 'ui:searchPrevious' : 'ui:searchNext');
+            } else if (e.key === 'Escape') {
+                this.eventEmitter.emit('ui:searchClose');
+            }
+        });
+
+        this.listen(this.getElement('search-bar'), 'click', (e) => {
+            const action = e.target.closest('[data-search-action]')?.getAttribute('data-search-action');
+            if (action === 'next') {
+                this.eventEmitter.emit('ui:searchNext');
+            } else if (action === 'previous') {
+                this.eventEmitter.emit('ui:searchPrevious');
+            } else if (action === 'close') {
+                this.eventEmitter.emit('ui:searchClose');
+            }
+        });
+
+        const sendBtn = this.getElement('send-btn');
+        this.listen(sendBtn, 'click', () => {
+            this.stopTyping();
+            this.eventEmitter.emit('ui:sendClick');
+        });
+
+        const input = this.getElement('message-input');
+        this.listen(input, 'keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.stopTyping();
+                this.eventEmitter.emit('ui:sendClick');
+            }
+        });
+
+        this.listen(input, 'input', () => {
+            this.handleComposerInput(input.value);
+        });
+
+        this.listen(input, 'blur', () => {
+            this.stopTyping();
+        });
+
+        // Attach button event
+        const attachBtn = this.getElement('attach-btn');
+        this.listen(attachBtn, 'click', () => {
+            const fileInput = this.getElement('file-input');
+            fileInput?.click();
+        });
+
+        // Retry/delete actions on failed messages
+        const messagesContainer = this.getElement('messages');
+
+        // Keep only the visible messages rendered, and load older ones near the top
+        this.listen(messagesContainer, 'scroll', () => {
+            this.messageList.handleScroll();
+            if (messagesContainer.scrollTop <= UIService.HISTORY_SCROLL_THRESHOLD) {
+                this.eventEmitter.emit('ui:loadMore');
+            }
+        });
+
+        // Images and videos change height once loaded; load events don't bubble, so capture them
+        this.listen(messagesContainer, 'load', () => this.messageList.refresh(), true);
+        this.listen(messagesContainer, 'loadedmetadata', () => this.messageList.refresh(), true);
+
+        this.listen(messagesContainer, 'click', (e) => {
+            const media = e.target.closest('[data-open-url]');
+            if (media) {
+                this.openLink(media.getAttribute('data-open-url'));
+                return;
+            }
+
+            const richAction = e.target.closest('[data-rich-action]');
+            if (richAction) {
+                this.handleRichAction(richAction);
+                return;
+            }
+
+            const actionButton = e.target.closest('[data-action]');
+            if (!actionButton) return;
+
+            const messageId = actionButton.getAttribute('data-message-id');
+            const action = actionButton.getAttribute('data-action');
+            if (action === 'retry') {
+                this.eventEmitter.emit('ui:messageRetry', messageId);
+            } else if (action === 'delete') {
+                this.eventEmitter.emit('ui:messageDelete', messageId);
+            } else if (action === 'cancel-upload') {
+                this.eventEmitter.emit('ui:uploadCancel', messageId);
+            }
+        });
+
+        // Card bodies with a default action are focusable and act like buttons
+        this.listen(messagesContainer, 'keydown', (e) => {
+            const card = e.target.closest('[data-rich-action][role="button"]');
+            if (card && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.handleRichAction(card);
+            }
+        });
+
+        // Pre-chat form submission
+        const preChatForm = this.getElement('prechat-form');
+        this.listen(preChatForm, 'submit', (e) => {
+            e.preventDefault();
+            this.eventEmitter.emit('ui:preChatSubmit', this.getPreChatValues());
+        });
+
+        // Survey rating choices, skip and submit
+        const survey = this.getElement('survey');
+        this.listen(survey, 'click', (e) => {
+            const choice = e.target.closest('[data-rating], [data-nps]');
+            if (choice) {
+                this.selectSurveyChoice(choice);
+            } else if (e.target.closest('[data-survey-action="skip"]')) {
+                this.eventEmitter.emit('ui:surveyDismiss');
+            }
+        });
+        this.listen(survey, 'submit', (e) => {
+            e.preventDefault();
+            this.eventEmitter.emit('ui:surveySubmit', {
+                rating: survey.dataset.rating ? Number(survey.dataset.rating) : null,
+                nps: survey.dataset.nps ? Number(survey.dataset.nps) : null,
+                comment: survey.querySelector('textarea')?.value.trim() || ''
+            });
+        });
+
+        // Start a new conversation after the current one was resolved
+        const resolvedBanner = this.getElement('resolved-banner');
+        this.listen(resolvedBanner, 'click', (e) => {
+            if (e.target.closest('[data-action="start-new"]')) {
+                this.eventEmitter.emit('ui:startNewConversation');
+            }
+        });
+
+        // 'auto' theme mode follows the system color scheme while the page is open
+        this.listen(this.themeService.getColorSchemeQuery(), 'change', () => this.applyTheme());
+
+        // Files from the picker, dropped on the chat window or pasted into the composer
+        const fileInput = this.getElement('file-input');
+        this.listen(fileInput, 'change', (e) => {
+            this.emitFiles(Array.from(e.target.files || []));
+            // Reset so choosing the same file again still fires change
+            e.target.value = '';
+        });
+
+        this.listen(input, 'paste', (e) => {
+            const files = this.getPastedFiles(e.clipboardData);
+            if (files.length > 0) {
+                e.preventDefault();
+                this.emitFiles(files);
+            }
+        });
+
+        const chatWindow = this.getElement('chat-window');
+        let dragDepth = 0;
+        this.listen(chatWindow, 'dragenter', (e) => {
+            if (!this.canDropFiles(e)) return;
+            e.preventDefault();
+            dragDepth++;
+            chatWindow.classList.add('dragging');
+        });
+        this.listen(chatWindow, 'dragover', (e) => {
+            if (!this.canDropFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        this.listen(chatWindow, 'dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) chatWindow.classList.remove('dragging');
+        });
+        this.listen(chatWindow, 'drop', (e) => {
+            dragDepth = 0;
+            chatWindow.classList.remove('dragging');
+            if (!this.canDropFiles(e)) return;
+            e.preventDefault();
+            this.emitFiles(Array.from(e.dataTransfer.files || []));
+        });
+    }
+
+    emitFiles(files) {
+        if (files.length > 0) {
+            this.eventEmitter.emit('ui:filesSelected', files);
+        }
+    }
+
+    /**
+     * Whether a drag carries files and attachments are currently allowed
+     */
+    canDropFiles(event) {
+        const types = Array.from(event.dataTransfer?.types || []);
+        return types.includes('Files') && !this.getElement('attach-btn')?.disabled;
+    }
+
+    /**
+     * Files on the clipboard, e.g. a screenshot
+     * Copies from documents carry both text and a picture of it; those paste as text.
+     * Browsers name every pasted screenshot "image.png", so unnamed or generic images get a timestamped name.
+     * @param {DataTransfer|null} clipboardData - From the paste event
+     * @returns {Array<File>}
+     */
+    getPastedFiles(clipboardData) {
+        if (!clipboardData || clipboardData.getData('text/plain')) return [];
+
+        const files = Array.from(clipboardData.files || []);
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+        return files.map((file, index) => {
+            if (file.name && !/^image\.\w+$/i.test(file.name)) return file;
+
+            const extension = (file.type.split('/')[1] || 'png').replace('jpeg', 'jpg').replace(/\+.*$/, '');
+            const suffix = files.length > 1 ? `-${index + 1}` : '';
+            return new File([file], `pasted-image-${stamp}${suffix}.${extension}`, {
+                type: file.type,
+                lastModified: file.lastModified
+            });
+        });
+    }
+
+    /**
+     * Resolve a tapped rich message button and emit `ui:richAction`
+     * @param {HTMLElement} element - Element carrying data-rich-action
+     */
+    handleRichAction(element) {
+        const key = element.closest('[data-message-key]')?.getAttribute('data-message-key');
+        const message = key ? this.messageList?.getItem(key) : null;
+        const path = element.getAttribute('data-rich-action');
+        const button = message ? this.richMessageService.getAction(message, path) : null;
+        if (!button) return;
+
+        this.eventEmitter.emit('ui:richAction', { message, button, isQuickReply: path.startsWith('q') });
+    }
+
+    /**
+     * Open a link button in a new tab, without giving the page access to the widget's window
+     */
+    openLink(url) {
+        window.open(url, '_blank', 'noopener,noreferrer');
+    }
+
+    /**
+     * Emit debounced typing signals: `ui:typing` true on the first keystroke,
+     * false once the composer is idle or emptied
+     */
+    handleComposerInput(value) {
+        if (!value.trim()) {
+            this.stopTyping();
+            return;
+        }
+
+        if (!this.isComposing) {
+            this.isComposing = true;
+            this.eventEmitter.emit('ui:typing', true);
+        }
+
+        clearTimeout(this.typingTimer);
+        this.typingTimer = setTimeout(() => this.stopTyping(), UIService.TYPING_IDLE_TIMEOUT);
+    }
+
+    stopTyping() {
+        clearTimeout(this.typingTimer);
+        this.typingTimer = null;
+
+        if (this.isComposing) {
+            this.isComposing = false;
+            this.eventEmitter.emit('ui:typing', false);
+        }
+    }
+
+    /**
+     * Remove the widget DOM and injected styles, and detach every DOM listener
+     */
+    destroy() {
+        clearTimeout(this.typingTimer);
+        this.typingTimer = null;
+        this.isComposing = false;
+        clearTimeout(this.surveyTimer);
+        this.surveyTimer = null;
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = null;
+
+        this.domListeners.forEach(removeListener => removeListener());
+        this.domListeners = [];
+        this.messageList = null;
+
+        this.container?.remove();
+        this.container = null;
+
+        this.styleElement?.remove();
+        this.styleElement = null;
+
+        this.host?.remove();
+        this.host = null;
+        this.root = document;
+    }
+
+    openWidget() {
+        this.container?.classList.add('open');
+        this.scrollToBottom();
+    }
+
+    closeWidget() {
+        this.container?.classList.remove('open');
+    }
+
+    /**
+     * Replace the whole message list, e.g. after a room was loaded
+     */
+    renderMessages(messages, currentUserEmail) {
+        this.messageList?.reset(messages);
+    }
+
+    appendMessage(message) {
+        this.messageList?.append(message);
+    }
+
+    prependMessages(messages) {
+        this.messageList?.prepend(messages);
+    }
+
+    updateMessage(message) {
+        this.messageList?.update(message);
+    }
+
+    removeMessage(message) {
+        this.messageList?.remove(message);
+    }
+
+    getMessageKey(message) {
+        return message.unique_temp_id || message.unique_id || message.id;
+    }
+
+    /**
+     * Markup of a single message; the root carries data-message-key so MessageListView can find it
+     * @param {Object} msg - Message object
+     * @returns {string} - HTML string
+     */
+    renderMessage(msg) {
+        // Check if message is from customer (current user) using user_extras
+        const isCustomer = msg.user_extras?.is_customer === true;
+        const isOwn = isCustomer;
+
+        const time = this.i18n.formatTime(msg.timestamp);
+
+        const senderName = isOwn ? this.t('message.you') : (msg.username || this.t('message.agent'));
+
+        const messageKey = this.escapeAttribute(this.getMessageKey(msg));
+
+        if (msg.is_deleted) {
+            return `
+                <div class="qiscus-message ${isOwn ? 'right' : 'left'} deleted" data-message-key="${messageKey}">
+                    <div class="qiscus-message-bubble">${this.escapeHtml(this.t('message.deleted'))}</div>
+                    <div class="qiscus-message-time">${time}</div>
+                </div>
+            `;
+        }
+
+        // Media and interactive payloads get their own markup; everything else is shown as text
+        const content = this.renderMediaContent(msg) || this.renderRichContent(msg);
+        const statusClass = msg.status === 'pending' || msg.status === 'failed' ? msg.status : '';
+
+        return `
+            <div class="qiscus-message ${isOwn ? 'right' : 'left'} ${statusClass}" data-message-key="${messageKey}">
+                ${!isOwn ? `<div class="qiscus-message-sender">${this.escapeHtml(senderName)}</div>` : ''}
+                ${content ? content : `<div class="qiscus-message-bubble" data-search-text>${this.formatMessageText(msg.message)}</div>`}
+                ${isOwn && msg.upload ? this.renderUploadProgress(msg) : ''}
+                <div class="qiscus-message-time">${time}${isOwn ? this.renderMessageStatus(msg) : ''}</div>
+                ${isOwn && msg.status === 'failed' ? this.renderFailedActions(msg) : ''}
+            </div>
+        `;
     }
 
-    attachEventListeners() {
-        const chatButton = document.getElementById('qiscus-chat-button');
-        chatButton?.addEventListener('click', () => {
-            this.eventEmitter.emit('ui:chatButtonClick');
-        });
+    // ==================== HEADER MENU ====================
 
-        const closeBtn = document.getElementById('qiscus-close-btn');
-        closeBtn?.addEventListener('click', () => {
-            this.eventEmitter.emit('ui:closeClick');
+    /**
+     * @param {boolean} [open] - Force open or closed; toggles when omitted
+     */
+    toggleHeaderMenu(open) {
+        const menu = this.getElement('header-menu');
+        if (!menu) return;
+
+        const isOpen = open ?? menu.style.display === 'none';
+        menu.style.display = isOpen ? '' : 'none';
+        this.getElement('menu-btn')?.setAttribute('aria-expanded', String(isOpen));
+        if (isOpen) menu.querySelector('button:not(:disabled)')?.focus();
+    }
+
+    /**
+     * Disable the download actions while a transcript is being prepared
+     */
+    setTranscriptExporting(isExporting) {
+        const menu = this.getElement('header-menu');
+        if (!menu) return;
+        menu.setAttribute('aria-busy', String(isExporting));
+        menu.querySelectorAll('[data-transcript-format]').forEach(button => {
+            button.disabled = isExporting;
         });
+    }
 
-        const sendBtn = document.getElementById('qiscus-send-btn');
-        sendBtn?.addEventListener('click', () => {
-            this.eventEmitter.emit('ui:sendClick');
+    /**
+     * Save generated content as a file through a temporary object URL
+     * @param {Object} file - { fileName, mimeType, content }
+     */
+    downloadFile({ fileName, mimeType, content }) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Show a short message above the composer, e.g. when an action failed
+     */
+    showNotice(message) {
+        const notice = this.getElement('notice');
+        if (!notice) return;
+
+        notice.textContent = message;
+        notice.style.display = '';
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => {
+            notice.style.display = 'none';
+        }, UIService.NOTICE_DURATION);
+    }
+
+    // ==================== SEARCH ====================
+
+    openSearch() {
+        const bar = this.getElement('search-bar');
+        if (!bar) return;
+        bar.style.display = '';
+        this.renderSearchCount();
+        this.getElement('search-input')?.focus();
+    }
+
+    /**
+     * Show search results: highlight matches and update the counter
+     * @param {Object} state - From MessageSearchService.getState()
+     * @param {Object} [options]
+     * @param {boolean} [options.scroll=false] - Scroll the current match into view
+     */
+    showSearchResults(state, { scroll = false } = {}) {
+        this.search = state;
+        const bar = this.getElement('search-bar');
+        if (bar) {
+            bar.style.display = '';
+            const input = this.getElement('search-input');
+            if (input && input.value.trim() !== state.query) input.value = state.query;
+        }
+
+        this.renderSearchCount();
+        this.messageList?.redraw();
+        if (scroll && state.currentKey !== null) {
+            this.messageList?.scrollToItem(state.currentKey);
+        }
+    }
+
+    closeSearch() {
+        const bar = this.getElement('search-bar');
+        if (bar) bar.style.display = 'none';
+
+        const input = this.getElement('search-input');
+        if (input) input.value = '';
+
+        const hadResults = !!this.search;
+        this.search = null;
+        this.renderSearchCount();
+        if (hadResults) this.messageList?.redraw();
+    }
+
+    renderSearchCount() {
+        const count = this.getElement('search-count');
+        if (!count) return;
+
+        const { pattern, total = 0, index = -1 } = this.search || {};
+        if (!pattern) {
+            count.textContent = '';
+        } else if (total === 0) {
+            count.textContent = this.t('search.noResults');
+        } else {
+            count.textContent = this.t('search.count', {
+                index: this.i18n.formatNumber(index + 1),
+                total: this.i18n.formatNumber(total)
+            });
+        }
+
+        this.getElement('search-bar')?.querySelectorAll('[data-search-action="next"], [data-search-action="previous"]')
+            .forEach(button => { button.disabled = total === 0; });
+    }
+
+    /**
+     * Wrap search matches of a rendered message in <mark>
+     * Only text inside `data-search-text` elements is touched, and only its text nodes,
+     * so formatting markup and attributes such as link URLs stay intact.
+     * @param {string} html - Markup from renderMessage()
+     * @param {Object} message - Message object
+     * @returns {string} - Markup with highlighted matches
+     */
+    highlightSearchMatches(html, message) {
+        if (!this.search?.pattern || this.search.total === 0) return html;
+
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        const isCurrent = String(this.getMessageKey(message)) === String(this.search.currentKey);
+        template.content.querySelectorAll('[data-search-text]').forEach(element => {
+            this.markMatches(element, this.search.pattern, isCurrent);
         });
+        return template.innerHTML;
+    }
 
-        const input = document.getElementById('qiscus-message-input');
-        input?.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.eventEmitter.emit('ui:sendClick');
+    /**
+     * Matches may span formatting tags (e.g. "he<strong>llo</strong>"), so the element's
+     * text is searched as a whole and each text node wraps its share of a match
+     */
+    markMatches(element, pattern, isCurrent) {
+        const segments = [];
+        let text = '';
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeType === Node.TEXT_NODE) {
+                segments.push({ node, start: text.length });
+                text += node.nodeValue;
+            } else if (node.nodeName === 'BR') {
+                text += '\n';
             }
+        }
+
+        pattern.lastIndex = 0;
+        const ranges = Array.from(text.matchAll(pattern), match => [match.index, match.index + match[0].length]);
+        if (ranges.length === 0) return;
+
+        segments.forEach(({ node, start }) => {
+            const value = node.nodeValue;
+            const end = start + value.length;
+            const parts = ranges
+                .filter(([from, to]) => from < end && to > start)
+                .map(([from, to]) => [Math.max(from, start) - start, Math.min(to, end) - start]);
+            if (parts.length === 0) return;
+
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+            parts.forEach(([from, to]) => {
+                if (from > position) fragment.append(value.slice(position, from));
+                const mark = document.createElement('mark');
+                mark.className = isCurrent ? 'qiscus-search-match current' : 'qiscus-search-match';
+                mark.textContent = value.slice(from, to);
+                fragment.append(mark);
+                position = to;
+            });
+            if (position < value.length) fragment.append(value.slice(position));
+            node.replaceWith(fragment);
         });
+    }
 
-        // Attach button event
-        const attachBtn = document.getElementById('qiscus-attach-btn');
-        attachBtn?.addEventListener('click', () => {
-            const fileInput = document.getElementById('qiscus-file-input');
-            fileInput?.click();
+    /**
+     * Show the pre-chat form in place of the conversation
+     * @param {Object} form - Normalized form from PreChatFormService.getForm()
+     */
+    showPreChatForm(form) {
+        const formElement = this.getElement('prechat-form');
+        if (!formElement) return;
+
+        formElement.innerHTML = `
+            <h2 class="qiscus-prechat-title">${this.escapeHtml(form.title)}</h2>
+            ${form.description ? `<p class="qiscus-prechat-description">${this.escapeHtml(form.description)}</p>` : ''}
+            ${form.fields.map(field => this.renderPreChatField(field)).join('')}
+            <div class="qiscus-prechat-error" data-error-for=""></div>
+            <button type="submit" class="qiscus-prechat-submit">${this.escapeHtml(form.submitLabel)}</button>
+        `;
+
+        this.getElement('chat-window')?.classList.add('prechat-active');
+        formElement.querySelector('input, select, textarea')?.focus();
+    }
+
+    renderPreChatField(field) {
+        const id = this.elementId(`prechat-${field.name}`);
+        const name = this.escapeAttribute(field.name);
+        const attributes = [
+            `id="${this.escapeAttribute(id)}"`,
+            `name="${name}"`,
+            field.required ? 'required' : '',
+            field.placeholder ? `placeholder="${this.escapeAttribute(field.placeholder)}"` : '',
+            field.maxLength ? `maxlength="${Number(field.maxLength)}"` : ''
+        ].filter(Boolean).join(' ');
+        const label = `${this.escapeHtml(field.label)}${field.required ? ' <span class="qiscus-prechat-required">*</span>' : ''}`;
+        const error = `<span class="qiscus-prechat-error" data-error-for="${name}"></span>`;
+
+        if (field.type === 'checkbox') {
+            return `
+                <div class="qiscus-prechat-field checkbox">
+                    <input type="checkbox" ${attributes} />
+                    <label for="${this.escapeAttribute(id)}">${label}</label>
+                    ${error}
+                </div>
+            `;
+        }
+
+        let control;
+        if (field.type === 'select') {
+            control = `
+                <select ${attributes}>
+                    <option value="">${this.escapeHtml(field.placeholder || this.t('preChat.select'))}</option>
+                    ${field.options.map(option => `<option value="${this.escapeAttribute(option.value)}">${this.escapeHtml(option.label)}</option>`).join('')}
+                </select>
+            `;
+        } else if (field.type === 'textarea') {
+            control = `<textarea rows="3" ${attributes}></textarea>`;
+        } else {
+            control = `<input type="${field.type}" ${attributes} />`;
+        }
+
+        return `
+            <div class="qiscus-prechat-field">
+                <label for="${this.escapeAttribute(id)}">${label}</label>
+                ${control}
+                ${error}
+            </div>
+        `;
+    }
+
+    /**
+     * Read the pre-chat form; checkboxes give booleans, other fields trimmed strings
+     * @returns {Object} - Values keyed by field name
+     */
+    getPreChatValues() {
+        const formElement = this.getElement('prechat-form');
+        const values = {};
+        formElement?.querySelectorAll('[name]').forEach(control => {
+            values[control.name] = control.type === 'checkbox' ? control.checked : control.value.trim();
         });
+        return values;
+    }
 
-        // File input change event
-        const fileInput = document.getElementById('qiscus-file-input');
-        fileInput?.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                this.eventEmitter.emit('ui:fileSelected', file);
-            }
+    /**
+     * Show validation errors next to their fields
+     * @param {Object} errors - Messages keyed by field name
+     * @param {string} [formError] - Message shown above the submit button
+     */
+    showPreChatErrors(errors, formError = '') {
+        const formElement = this.getElement('prechat-form');
+        if (!formElement) return;
+
+        formElement.querySelectorAll('[data-error-for]').forEach(element => {
+            const name = element.getAttribute('data-error-for');
+            element.textContent = name ? errors[name] || '' : formError;
+        });
+        formElement.querySelectorAll('[name]').forEach(control => {
+            control.setAttribute('aria-invalid', errors[control.name] ? 'true' : 'false');
         });
+
+        const firstInvalid = formElement.querySelector('[aria-invalid="true"]');
+        firstInvalid?.focus();
     }
 
-    openWidget() {
-        this.container?.classList.add('open');
-        this.scrollToBottom();
+    setPreChatSubmitting(isSubmitting) {
+        const submitButton = this.getElement('prechat-form')?.querySelector('.qiscus-prechat-submit');
+        if (submitButton) submitButton.disabled = isSubmitting;
     }
 
-    closeWidget() {
-        this.container?.classList.remove('open');
+    hidePreChatForm() {
+        this.getElement('chat-window')?.classList.remove('prechat-active');
+        const formElement = this.getElement('prechat-form');
+        if (formElement) formElement.innerHTML = '';
     }
 
-    renderMessages(messages, currentUserEmail) {
-        const messagesContainer = document.getElementById('qiscus-messages');
-        if (!messagesContainer) return;
+    isPreChatFormVisible() {
+        return !!this.getElement('chat-window')?.classList.contains('prechat-active');
+    }
 
-        if (messages.length === 0) {
-            messagesContainer.innerHTML = '<div class="qiscus-empty-state"><p>Start a conversation</p></div>';
-            return;
+    /**
+     * Show the satisfaction survey in place of the composer
+     * @param {Object} survey - Survey from CsatService.getSurvey()
+     * @param {Array<string>} ratingOptions - Labels of the rating buttons, lowest first
+     */
+    showSurvey(survey, ratingOptions) {
+        const surveyElement = this.getElement('survey');
+        if (!surveyElement) return;
+
+        delete surveyElement.dataset.rating;
+        delete surveyElement.dataset.nps;
+        surveyElement.innerHTML = `
+            <div class="qiscus-survey-title">${this.escapeHtml(survey.title)}</div>
+            <div class="qiscus-survey-rating" role="group" aria-label="${this.escapeAttribute(survey.title)}">
+                ${ratingOptions.map((label, index) => `
+                    <button type="button" class="qiscus-survey-option ${survey.ratingType}" data-rating="${index + 1}"
+                        aria-label="${index + 1} / ${ratingOptions.length}" aria-pressed="false">${this.escapeHtml(label)}</button>
+                `).join('')}
+            </div>
+            ${survey.nps ? `
+                <div class="qiscus-survey-question">${this.escapeHtml(survey.nps.question)}</div>
+                <div class="qiscus-survey-nps" role="group" aria-label="${this.escapeAttribute(survey.nps.question)}">
+                    ${Array.from({ length: 11 }, (_, score) => `<button type="button" data-nps="${score}" aria-pressed="false">${score}</button>`).join('')}
+                </div>
+            ` : ''}
+            ${survey.comment ? `<textarea rows="2" placeholder="${this.escapeAttribute(survey.commentPlaceholder)}"></textarea>` : ''}
+            <div class="qiscus-survey-error"></div>
+            <div class="qiscus-survey-actions">
+                <button type="button" data-survey-action="skip">${this.escapeHtml(survey.skipLabel)}</button>
+                <button type="submit">${this.escapeHtml(survey.submitLabel)}</button>
+            </div>
+        `;
+
+        this.getElement('chat-window')?.classList.add('survey-active');
+    }
+
+    /**
+     * Mark a rating or NPS button as chosen; stars also highlight every lower star
+     */
+    selectSurveyChoice(choice) {
+        const surveyElement = this.getElement('survey');
+        const field = choice.hasAttribute('data-rating') ? 'rating' : 'nps';
+        const value = Number(choice.getAttribute(`data-${field}`));
+        surveyElement.dataset[field] = value;
+
+        surveyElement.querySelectorAll(`[data-${field}]`).forEach(button => {
+            const buttonValue = Number(button.getAttribute(`data-${field}`));
+            const isStar = button.classList.contains('stars');
+            button.classList.toggle('selected', isStar ? buttonValue <= value : buttonValue === value);
+            button.setAttribute('aria-pressed', buttonValue === value ? 'true' : 'false');
+        });
+        this.showSurveyError('');
+    }
+
+    showSurveyError(message) {
+        const error = this.getElement('survey')?.querySelector('.qiscus-survey-error');
+        if (error) error.textContent = message;
+    }
+
+    setSurveySubmitting(isSubmitting) {
+        this.getElement('survey')?.querySelectorAll('.qiscus-survey-actions button').forEach(button => {
+            button.disabled = isSubmitting;
+        });
+    }
+
+    showSurveyThanks(message) {
+        const surveyElement = this.getElement('survey');
+        if (surveyElement) {
+            surveyElement.innerHTML = `<div class="qiscus-survey-thanks">${this.escapeHtml(message)}</div>`;
         }
 
-        messagesContainer.innerHTML = messages.map(msg => {
-            // Check if message is from customer (current user) using user_extras
-            const isCustomer = msg.user_extras?.is_customer === true;
-            const isOwn = isCustomer;
+        clearTimeout(this.surveyTimer);
+        this.surveyTimer = setTimeout(() => this.hideSurvey(), UIService.SURVEY_THANKS_DURATION);
+    }
 
-            const time = new Date(msg.timestamp).toLocaleTimeString('en-US', {
-                hour: '2-digit',
-                minute: '2-digit'
-            });
+    hideSurvey() {
+        clearTimeout(this.surveyTimer);
+        this.surveyTimer = null;
+        this.getElement('chat-window')?.classList.remove('survey-active');
+        const surveyElement = this.getElement('survey');
+        if (surveyElement) surveyElement.innerHTML = '';
+    }
 
-            const senderName = isOwn ? 'You' : (msg.username || 'Customer Service');
+    /**
+     * Show that the conversation was resolved
+     * @param {boolean} canStartNew - Offer the "Start new conversation" action (sessional apps)
+     */
+    showResolvedBanner(canStartNew) {
+        const banner = this.getElement('resolved-banner');
+        if (!banner) return;
 
-            // Check if message is a media message
-            const mediaContent = this.renderMediaContent(msg);
+        const button = banner.querySelector('[data-action="start-new"]');
+        button.style.display = canStartNew ? '' : 'none';
+        button.disabled = false;
+        banner.style.display = 'flex';
+    }
 
-            return `
-                <div class="qiscus-message ${isOwn ? 'right' : 'left'}">
-                    ${!isOwn ? `<div class="qiscus-message-sender">${this.escapeHtml(senderName)}</div>` : ''}
-                    ${mediaContent ? mediaContent : `<div class="qiscus-message-bubble">${this.escapeHtml(msg.message)}</div>`}
-                    <div class="qiscus-message-time">${time}</div>
-                </div>
-            `;
-        }).join('');
+    hideResolvedBanner() {
+        const banner = this.getElement('resolved-banner');
+        if (banner) banner.style.display = 'none';
+    }
 
-        this.scrollToBottom();
+    setStartingNewConversation(isStarting) {
+        const button = this.getElement('resolved-banner')?.querySelector('[data-action="start-new"]');
+        if (button) button.disabled = isStarting;
+    }
+
+    /**
+     * Enable or disable the composer, e.g. while a resolved sessional room can't receive messages
+     */
+    setComposerEnabled(enabled) {
+        ['message-input', 'send-btn', 'attach-btn'].forEach(name => {
+            const element = this.getElement(name);
+            if (element) element.disabled = !enabled;
+        });
+        this.container?.querySelector('.qiscus-input-area')?.classList.toggle('disabled', !enabled);
+        if (!enabled) this.stopTyping();
+    }
+
+    /**
+     * Show or hide the spinner above the message list while older messages load
+     */
+    setHistoryLoading(isLoading) {
+        const loader = this.getElement('history-loader');
+        if (loader) {
+            loader.style.display = isLoading ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Status shown next to the time of own messages:
+     * pending → "Sending…", sent → ✓, delivered → ✓✓, read → highlighted ✓✓
+     */
+    renderMessageStatus(message) {
+        switch (message.status) {
+            case 'pending':
+                return ` · <span class="qiscus-message-status">${this.escapeHtml(this.t('message.sending'))}</span>`;
+            case 'failed':
+                return ` · <span class="qiscus-message-status failed">${this.escapeHtml(this.t('message.failed'))}</span>`;
+            case 'sent':
+                return ` <span class="qiscus-message-status sent" title="${this.escapeAttribute(this.t('message.sent'))}">✓</span>`;
+            case 'delivered':
+                return ` <span class="qiscus-message-status delivered" title="${this.escapeAttribute(this.t('message.delivered'))}">✓✓</span>`;
+            case 'read':
+                return ` <span class="qiscus-message-status read" title="${this.escapeAttribute(this.t('message.read'))}">✓✓</span>`;
+            default:
+                return '';
+        }
+    }
+
+    renderFailedActions(message) {
+        const messageId = this.escapeAttribute(this.getMessageKey(message));
+        return `
+            <div class="qiscus-message-actions">
+                <button type="button" data-action="retry" data-message-id="${messageId}">${this.escapeHtml(this.t('message.retry'))}</button>
+                <button type="button" data-action="delete" data-message-id="${messageId}">${this.escapeHtml(this.t('message.delete'))}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Progress of a file that is waiting for or being uploaded, with a cancel button
+     * @param {Object} message - Message with `upload: { status, percent }`
+     */
+    renderUploadProgress(message) {
+        const messageId = this.escapeAttribute(this.getMessageKey(message));
+        const { status, percent } = message.upload;
+        const label = status === 'queued'
+            ? this.t('upload.waiting')
+            : `${this.t('upload.uploading')} ${this.i18n.formatNumber(percent)}%`;
+
+        return `
+            <div class="qiscus-upload-progress">
+                <div class="qiscus-upload-info">
+                    <span>${this.escapeHtml(label)}</span>
+                    <button type="button" data-action="cancel-upload" data-message-id="${messageId}">${this.escapeHtml(this.t('upload.cancel'))}</button>
+                </div>
+                <div class="qiscus-progress-bar" role="progressbar" aria-label="${this.escapeAttribute(this.t('upload.uploading'))}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+                    <div class="qiscus-progress-fill" style="width: ${percent}%;"></div>
+                </div>
+            </div>
+        `;
     }
 
     updateUnreadBadge(count) {
-        const badge = document.getElementById('qiscus-unread-badge');
+        const badge = this.getElement('unread-badge');
         if (badge) {
             badge.textContent = count;
             badge.classList.toggle('show', count > 0);
@@ -501,14 +2210,31 @@ class UIService {
     }
 
     updateTypingIndicator(isTyping) {
-        const indicator = document.getElementById('qiscus-typing-indicator');
+        const indicator = this.getElement('typing-indicator');
         if (indicator) {
-            indicator.textContent = isTyping ? 'typing...' : '';
+            indicator.textContent = isTyping ? this.t('header.typing') : '';
         }
     }
 
+    /**
+     * Show how many messages are still waiting in the outbox, and how many files were lost on reload
+     * @param {Array} entries - Outbox entries
+     */
+    updateOutboxStatus(entries) {
+        const status = this.getElement('outbox-status');
+        if (!status) return;
+
+        const lost = entries.filter(entry => entry.status === 'lost').length;
+        const count = entries.length - lost;
+        const texts = [];
+        if (count > 0) texts.push(this.t('outbox.waiting', { count }));
+        if (lost > 0) texts.push(this.t('outbox.lost', { count: lost }));
+        status.textContent = texts.join(' · ');
+        status.style.display = texts.length > 0 ? 'block' : 'none';
+    }
+
     getMessageInput() {
-        return document.getElementById('qiscus-message-input');
+        return this.getElement('message-input');
     }
 
     clearMessageInput() {
@@ -517,20 +2243,43 @@ class UIService {
     }
 
     scrollToBottom() {
-        const messagesContainer = document.getElementById('qiscus-messages');
-        if (messagesContainer) {
+        if (this.messageList) {
             setTimeout(() => {
-                messagesContainer.scrollTop = messagesContainer.scrollHeight;
+                this.messageList?.scrollToBottom();
             }, 100);
         }
     }
 
+    /**
+     * Message text as safe HTML: formatted and auto-linked, or only escaped when formatting is off
+     */
+    formatMessageText(text) {
+        if (this.options.formatMessages === false) {
+            return this.escapeHtml(text ?? '').replace(/\n/g, '<br>');
+        }
+        return this.messageFormatter.format(text);
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
 
+    escapeAttribute(text) {
+        return this.escapeHtml(String(text ?? '')).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * URL of a file message that may be loaded and linked: http(s) from the server, or the
+     * blob: preview of a file the customer is sending. Agent and bot payloads are not trusted.
+     * @returns {string|null}
+     */
+    getMediaURL(url) {
+        if (typeof url === 'string' && url.startsWith('blob:')) return url;
+        return this.richMessageService.sanitizeURL(url);
+    }
+
     /**
      * Render media content for custom messages and file attachment messages
      * @param {Object} message - Message object
@@ -551,6 +2300,10 @@ class UIService {
                 return null;
             }
 
+            const url = this.getMediaURL(content.url);
+            if (!url) return null;
+            const safeURL = this.escapeAttribute(url);
+
             // Determine file type from extension if not provided
             const fileName = content.file_name || content.filename || '';
             const fileType = this.getFileTypeFromExtension(fileName);
@@ -560,11 +2313,11 @@ class UIService {
                 return `
                     <div class="qiscus-message-bubble">
                         <div class="media-message">
-                            <img src="${content.url}" 
-                                 alt="${fileName || 'Image'}" 
-                                 onclick="window.open('${content.url}', '_blank')"
+                            <img src="${safeURL}" 
+                                 alt="${this.escapeAttribute(fileName || this.t('message.image'))}" 
+                                 data-open-url="${safeURL}"
                                  style="max-width: 250px; max-height: 250px; border-radius: 8px; cursor: pointer;">
-                            ${fileName ? `<div class="file-name">${this.escapeHtml(fileName)}</div>` : ''}
+                            ${fileName ? `<div class="file-name" data-search-text>${this.escapeHtml(fileName)}</div>` : ''}
                         </div>
                     </div>
                 `;
@@ -573,25 +2326,25 @@ class UIService {
                     <div class="qiscus-message-bubble">
                         <div class="media-message">
                             <video controls style="max-width: 250px; max-height: 250px; border-radius: 8px;">
-                                <source src="${content.url}" type="video/mp4">
-                                Your browser does not support the video tag.
+                                <source src="${safeURL}" type="video/mp4">
+                                ${this.escapeHtml(this.t('message.videoUnsupported'))}
                             </video>
-                            ${fileName ? `<div class="file-name">${this.escapeHtml(fileName)}</div>` : ''}
+                            ${fileName ? `<div class="file-name" data-search-text>${this.escapeHtml(fileName)}</div>` : ''}
                         </div>
                     </div>
                 `;
             } else {
-                const fileSize = content.size ? this.formatFileSize(content.size) : 'File';
+                const fileSize = content.size ? this.formatFileSize(content.size) : this.t('message.file');
                 const fileIcon = this.getFileIcon(fileName);
 
                 return `
                     <div class="qiscus-message-bubble">
                         <div class="media-message">
-                            <a href="${content.url}" target="_blank" class="file-link">
+                            <a href="${safeURL}" target="_blank" rel="noopener noreferrer" class="file-link">
                                 <span class="file-icon">${fileIcon}</span>
                                 <div class="file-info">
-                                    <div class="file-name">${this.escapeHtml(fileName)}</div>
-                                    <div class="file-size">${fileSize}</div>
+                                    <div class="file-name" data-search-text>${this.escapeHtml(fileName)}</div>
+                                    <div class="file-size">${this.escapeHtml(fileSize)}</div>
                                 </div>
                             </a>
                         </div>
@@ -604,90 +2357,116 @@ class UIService {
         }
     }
 
+    /**
+     * Render buttons, card, carousel and quick reply messages
+     * Every tappable element carries data-rich-action with its path for RichMessageService.getAction()
+     * @param {Object} message - Message object
+     * @returns {string|null} - HTML string or null for other messages
+     */
+    renderRichContent(message) {
+        const rich = this.richMessageService.parse(message);
+        if (!rich) return null;
+
+        const text = rich.text ? this.formatMessageText(rich.text) : '';
+        switch (rich.kind) {
+            case 'buttons':
+                return `
+                    <div class="qiscus-message-bubble qiscus-rich">
+                        ${text ? `<div class="qiscus-rich-text" data-search-text>${text}</div>` : ''}
+                        ${this.renderRichButtons(rich.buttons, (index) => `b${index}`)}
+                    </div>
+                `;
+            case 'card':
+            case 'carousel':
+                return `
+                    <div class="qiscus-rich-group">
+                        ${text ? `<div class="qiscus-message-bubble" data-search-text>${text}</div>` : ''}
+                        <div class="qiscus-rich-cards ${rich.kind}">
+                            ${rich.cards.map((card, index) => this.renderRichCard(card, index)).join('')}
+                        </div>
+                    </div>
+                `;
+            case 'quickReply': {
+                const isOpen = this.richMessageService.hasOpenQuickReplies(message);
+                return `
+                    <div class="qiscus-rich-group">
+                        ${text ? `<div class="qiscus-message-bubble" data-search-text>${text}</div>` : ''}
+                        ${isOpen ? `
+                            <div class="qiscus-quick-replies">
+                                ${rich.quickReplies.map((reply, index) => `
+                                    <button type="button" class="qiscus-quick-reply" data-rich-action="q${index}">${this.escapeHtml(reply.label)}</button>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                `;
+            }
+            default:
+                return null;
+        }
+    }
+
+    renderRichCard(card, index) {
+        const action = card.defaultAction
+            ? `data-rich-action="c${index}.default" role="button" tabindex="0"`
+            : '';
+
+        return `
+            <div class="qiscus-rich-card">
+                <div class="qiscus-rich-card-body ${card.defaultAction ? 'actionable' : ''}" ${action}>
+                    ${card.image ? `<img src="${this.escapeAttribute(card.image)}" alt="" loading="lazy">` : ''}
+                    ${card.title ? `<div class="qiscus-rich-card-title">${this.escapeHtml(card.title)}</div>` : ''}
+                    ${card.description ? `<div class="qiscus-rich-card-description">${this.escapeHtml(card.description)}</div>` : ''}
+                </div>
+                ${this.renderRichButtons(card.buttons, (buttonIndex) => `c${index}.b${buttonIndex}`)}
+            </div>
+        `;
+    }
+
+    renderRichButtons(buttons, getPath) {
+        if (buttons.length === 0) return '';
+        return `
+            <div class="qiscus-rich-buttons">
+                ${buttons.map((button, index) => `
+                    <button type="button" class="qiscus-rich-button ${button.type}" data-rich-action="${getPath(index)}">${this.escapeHtml(button.label)}${button.type === 'link' ? ' ↗' : ''}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
     /**
      * Get file type from extension
      * @param {string} filename - File name
      * @returns {string} - File type (image, video, or file)
      */
     getFileTypeFromExtension(filename) {
-        if (!filename) return 'file';
-
-        const ext = filename.split('.').pop().toLowerCase();
-
-        const imageExts = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg'];
-        const videoExts = ['mp4', 'webm', 'mov', 'avi', 'mkv', 'flv'];
-
-        if (imageExts.includes(ext)) return 'image';
-        if (videoExts.includes(ext)) return 'video';
-        return 'file';
+        const category = this.attachmentPolicy.getCategory(filename);
+        return category === 'image' || category === 'video' ? category : 'file';
     }
 
     /**
      * Get file icon emoji
      */
     getFileIcon(filename) {
-        if (!filename) return '📎';
-
-        const ext = filename.split('.').pop().toLowerCase();
-        const imageExts = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg'];
-        const videoExts = ['mp4', 'webm', 'mov', 'avi', 'mkv'];
-        const docExts = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx'];
-
-        if (imageExts.includes(ext)) return '🖼️';
-        if (videoExts.includes(ext)) return '🎥';
-        if (docExts.includes(ext)) return '📄';
-        return '📎';
+        return UIService.FILE_ICONS[this.attachmentPolicy.getCategory(filename)];
     }
 
     /**
      * Format file size
      */
     formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
+        const sizes = [this.t('file.bytes'), 'KB', 'MB', 'GB'];
+        if (bytes === 0) return `${this.i18n.formatNumber(0)} ${sizes[0]}`;
         const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
         const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
-    }
-
-    /**
-     * Show upload progress
-     */
-    showUploadProgress(filename, percent) {
-        const progressDiv = document.getElementById('qiscus-upload-progress');
-        const filenameSpan = document.getElementById('qiscus-upload-filename');
-        const percentSpan = document.getElementById('qiscus-upload-percent');
-        const progressFill = document.getElementById('qiscus-progress-fill');
-
-        if (progressDiv && filenameSpan && percentSpan && progressFill) {
-            progressDiv.style.display = 'block';
-            filenameSpan.textContent = filename;
-            percentSpan.textContent = percent + '%';
-            progressFill.style.width = percent + '%';
-        }
-    }
-
-    /**
-     * Hide upload progress
-     */
-    hideUploadProgress() {
-        const progressDiv = document.getElementById('qiscus-upload-progress');
-        if (progressDiv) {
-            progressDiv.style.display = 'none';
-        }
-
-        // Clear file input
-        const fileInput = document.getElementById('qiscus-file-input');
-        if (fileInput) {
-            fileInput.value = '';
-        }
+        return `${this.i18n.formatNumber(bytes / Math.pow(k, i), { maximumFractionDigits: 2 })} ${sizes[i]}`;
     }
 
     /**
      * Show chat button (FAB)
      */
     showChatButton() {
-        const chatButton = document.getElementById('qiscus-chat-button');
+        const chatButton = this.getElement('chat-button');
         if (chatButton) {
             chatButton.classList.remove('hidden');
         }
@@ -697,7 +2476,7 @@ class UIService {
      * Hide chat button (FAB)
      */
     hideChatButton() {
-        const chatButton = document.getElementById('qiscus-chat-button');
+        const chatButton = this.getElement('chat-button');
         if (chatButton) {
             chatButton.classList.add('hidden');
         }
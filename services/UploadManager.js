@@ -0,0 +1,164 @@
+/**
+ * UploadManager - Runs file uploads side by side, up to a concurrency limit
+ * Each upload is tracked under the ID of its message, reports its own progress
+ * and can be cancelled while it waits or while it is running.
+ * Follows Single Responsibility Principle
+ */
+class UploadManager {
+    static DEFAULT_CONCURRENCY = 3;
+
+    /**
+     * @param {LoggerService} logger - Logger
+     * @param {Function} upload - async (file, { onProgress, signal }) => file URL; rejects once the signal is aborted
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=3] - Uploads running at the same time; later ones wait for a free slot
+     */
+    constructor(logger, upload, { concurrency = UploadManager.DEFAULT_CONCURRENCY } = {}) {
+        this.logger = logger;
+        this.uploadFn = upload;
+        this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+        this.tasks = new Map();
+        this.waiting = [];
+        this.running = 0;
+    }
+
+    /**
+     * Whether an error comes from a cancelled upload
+     */
+    static isCancelled(error) {
+        return error?.name === 'AbortError';
+    }
+
+    /**
+     * Queue a file for upload
+     * @param {string} id - ID of the upload, e.g. the unique_temp_id of its message
+     * @param {File} file - File to upload
+     * @param {Function} [onChange] - (task) => void with { id, name, size, status: 'queued'|'uploading', percent }
+     * @returns {Promise<string>} - Uploaded file URL; rejects with an AbortError when cancelled
+     */
+    upload(id, file, onChange = () => {}) {
+        if (this.tasks.has(id)) {
+            return Promise.reject(new Error(`Upload ${id} is already in progress`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const task = {
+                id,
+                file,
+                onChange,
+                resolve,
+                reject,
+                status: 'queued',
+                percent: 0,
+                controller: null
+            };
+            this.tasks.set(id, task);
+            this.waiting.push(task);
+            this.notify(task);
+            this.next();
+        });
+    }
+
+    /**
+     * Stop an upload that is waiting or running
+     * @param {string} id - ID given to upload()
+     * @returns {boolean} - Whether there was an upload to cancel
+     */
+    cancel(id) {
+        const task = this.tasks.get(id);
+        if (!task) return false;
+
+        this.logger.log('[UploadManager] Upload cancelled:', task.file.name);
+        this.waiting = this.waiting.filter(waiting => waiting !== task);
+        task.controller?.abort();
+
+        const error = new Error('Upload cancelled');
+        error.name = 'AbortError';
+        this.settle(task, () => task.reject(error));
+        return true;
+    }
+
+    cancelAll() {
+        Array.from(this.tasks.keys()).forEach(id => this.cancel(id));
+    }
+
+    has(id) {
+        return this.tasks.has(id);
+    }
+
+    /**
+     * @returns {Array} - { id, name, size, status, percent } of every waiting and running upload
+     */
+    getTasks() {
+        return Array.from(this.tasks.values()).map(task => this.toSnapshot(task));
+    }
+
+    /**
+     * Start waiting uploads while there are free slots
+     */
+    next() {
+        while (this.running < this.concurrency && this.waiting.length > 0) {
+            this.start(this.waiting.shift());
+        }
+    }
+
+    async start(task) {
+        task.status = 'uploading';
+        task.controller = new AbortController();
+        this.running++;
+        this.notify(task);
+
+        try {
+            const url = await this.uploadFn(task.file, {
+                signal: task.controller.signal,
+                onProgress: (percent) => this.setProgress(task, percent)
+            });
+            this.settle(task, () => task.resolve(url));
+        } catch (error) {
+            this.settle(task, () => task.reject(error));
+        }
+    }
+
+    /**
+     * Only whole percentages are reported, so listeners are not flooded
+     */
+    setProgress(task, percent) {
+        const rounded = Math.min(100, Math.max(0, Math.round(percent)));
+        if (this.tasks.get(task.id) !== task || rounded === task.percent) return;
+
+        task.percent = rounded;
+        this.notify(task);
+    }
+
+    /**
+     * Finish a task once; results arriving after a cancel are ignored
+     */
+    settle(task, complete) {
+        if (this.tasks.get(task.id) !== task) return;
+
+        this.tasks.delete(task.id);
+        if (task.status === 'uploading') {
+            this.running--;
+        }
+        complete();
+        this.next();
+    }
+
+    notify(task) {
+        try {
+            task.onChange(this.toSnapshot(task));
+        } catch (error) {
+            this.logger.error('[UploadManager] Progress listener failed:', error);
+        }
+    }
+
+    toSnapshot(task) {
+        return {
+            id: task.id,
+            name: task.file.name,
+            size: task.file.size,
+            status: task.status,
+            percent: task.percent
+        };
+    }
+}